@@ -0,0 +1,82 @@
+const ASSET_EXTENSIONS = [
+  ".png",
+  ".jpg",
+  ".jpeg",
+  ".gif",
+  ".svg",
+  ".webp",
+  ".avif",
+  ".ico",
+  ".bmp",
+  ".woff",
+  ".woff2",
+  ".ttf",
+  ".otf",
+  ".eot",
+  ".mp4",
+  ".webm",
+  ".mp3",
+  ".wav",
+  ".ogg",
+  ".pdf",
+  ".json",
+];
+const IMPLICIT_ASSETS = [
+  "public/turl.json",
+  "public/favicon.ico",
+  "public/favicon.svg",
+  "public/apple-touch-icon.png",
+  "public/manifest.json",
+];
+const REFERENCE_PATTERN = new RegExp(
+  `[^\\s"'\`()<>=,;:]+\\.(?:${ASSET_EXTENSIONS.map((ext) => ext.slice(1)).join("|")})\\b`,
+  "gi",
+);
+const DYNAMIC_SEGMENT = /\$\{[^}]*\}/;
+
+function normalizeReference(reference) {
+  return reference
+    .replace(/^%PUBLIC_URL%/, "")
+    .replace(/^[~@]\//, "src/")
+    .replace(/\\/g, "/")
+    .replace(/^(?:\.{1,2}\/|\/)+/, "");
+}
+
+function collectAssetReferences(content, references) {
+  for (const [match] of content.matchAll(REFERENCE_PATTERN)) {
+    const reference = normalizeReference(match);
+    if (!reference) continue;
+
+    if (reference.includes("${")) {
+      const pattern = reference
+        .split(DYNAMIC_SEGMENT)
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*");
+      references.patterns.add(pattern);
+    } else {
+      references.paths.add(reference);
+    }
+  }
+
+  return references;
+}
+
+function createAssetMatcher(references) {
+  const paths = [...references.paths];
+  const patterns = [...references.patterns].map(
+    (pattern) => new RegExp(`(?:^|/)${pattern}$`),
+  );
+
+  return (assetPath) =>
+    paths.some(
+      (reference) =>
+        assetPath === reference || assetPath.endsWith(`/${reference}`),
+    ) || patterns.some((pattern) => pattern.test(assetPath));
+}
+
+export {
+  ASSET_EXTENSIONS,
+  IMPLICIT_ASSETS,
+  collectAssetReferences,
+  createAssetMatcher,
+};
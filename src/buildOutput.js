@@ -0,0 +1,281 @@
+import fs from "fs";
+import path from "path";
+import { TurlError, ErrorCodes } from "./errors.js";
+import {
+  measureBundle,
+  findPreviousRelease,
+  addRelease,
+  compareBundles,
+  checkBudget,
+} from "./bundleSize.js";
+import {
+  PROJECT_ROOT,
+  safeReadFile,
+  safeWriteFile,
+  safeParseJson,
+  runCommand,
+} from "./project.js";
+import { formatTagName } from "./git.js";
+import { formatSize, printStep, formatSizeChange } from "./output.js";
+
+const BUILD_OUTPUT_DIRS = ["dist", "build"];
+
+function detectBuildCommand(root = PROJECT_ROOT) {
+  const packageJsonPath = path.join(root, "package.json");
+
+  if (!fs.existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  const content = safeReadFile(packageJsonPath, "package.json");
+  const packageJson = safeParseJson(content, packageJsonPath, "package.json");
+  const scripts = packageJson.scripts || {};
+
+  if (scripts.build) {
+    return "npm run build";
+  }
+
+  const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+  if (deps.vite) {
+    return "npx vite build";
+  }
+
+  if (deps["react-scripts"]) {
+    return "npx react-scripts build";
+  }
+
+  return null;
+}
+
+function runBuild(buildCommand, root = PROJECT_ROOT) {
+  return runCommand(buildCommand, root, "Build", ErrorCodes.BUILD_FAILED);
+}
+
+function listOutputFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listOutputFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push({ path: fullPath, size: fs.statSync(fullPath).size });
+    }
+  }
+  return files;
+}
+
+function getBuildOutputDirs(config) {
+  return config.buildOutput && config.buildOutput.dir
+    ? [config.buildOutput.dir]
+    : BUILD_OUTPUT_DIRS;
+}
+
+function findBuildOutputDir(project, config) {
+  return (
+    getBuildOutputDirs(config).find((candidate) => {
+      try {
+        return fs.statSync(path.join(project.root, candidate)).isDirectory();
+      } catch {
+        return false;
+      }
+    }) || null
+  );
+}
+
+function checkBuildOutput(project, config) {
+  const candidates = getBuildOutputDirs(config);
+  const suggestion =
+    'Check the build, or set "buildOutput" in turl.json ({ "dir", "files" }, or false to skip this check)';
+  const outputDir = findBuildOutputDir(project, config);
+
+  if (!outputDir) {
+    throw new TurlError(
+      `Build output not found: expected ${candidates.map((candidate) => `${candidate}/`).join(" or ")}`,
+      ErrorCodes.BUILD_OUTPUT_INVALID,
+      { suggestion },
+    );
+  }
+
+  const outputPath = path.join(project.root, outputDir);
+  const outputFiles = listOutputFiles(outputPath);
+  if (outputFiles.length === 0) {
+    throw new TurlError(
+      `Build output ${outputDir}/ is empty`,
+      ErrorCodes.BUILD_OUTPUT_INVALID,
+      { path: outputPath, suggestion },
+    );
+  }
+
+  const missing = config.buildOutput.files.filter(
+    (file) => !fs.existsSync(path.join(outputPath, file)),
+  );
+  if (missing.length > 0) {
+    throw new TurlError(
+      `Build output ${outputDir}/ is missing ${missing.join(", ")}`,
+      ErrorCodes.BUILD_OUTPUT_INVALID,
+      { path: outputPath, suggestion },
+    );
+  }
+
+  return {
+    dir: outputDir,
+    files: outputFiles.length,
+    size: outputFiles.reduce((sum, file) => sum + file.size, 0),
+  };
+}
+
+async function runBuildStep(project, config, dryRun) {
+  printStep(12, "Running production build", project);
+  const buildCommand =
+    config.commands.build === null
+      ? detectBuildCommand(project.root)
+      : config.commands.build;
+  if (buildCommand && dryRun) {
+    process.stdout.write(`  [DRY RUN] Would run: ${buildCommand}\n`);
+    if (config.bundleSize) {
+      process.stdout.write(
+        config.bundleSize.history
+          ? `  [DRY RUN] Would record the bundle size in ${config.bundleSize.history}\n`
+          : "  [DRY RUN] Would measure the bundle size\n",
+      );
+    }
+  } else if (buildCommand) {
+    try {
+      await runBuild(buildCommand, project.root);
+      process.stdout.write("  [OK] Build completed successfully\n");
+      if (!config.buildOutput) {
+        return { error: null, outputDir: findBuildOutputDir(project, config) };
+      }
+      const output = checkBuildOutput(project, config);
+      process.stdout.write(
+        `  [OK] Build output: ${output.dir}/ (${output.files} files, ${formatSize(output.size)})\n`,
+      );
+      return { error: null, outputDir: output.dir };
+    } catch (err) {
+      return { error: err, outputDir: null };
+    }
+  } else if (buildCommand === false) {
+    process.stdout.write("  [SKIP] Build disabled in turl.json\n");
+  } else {
+    process.stdout.write("  [SKIP] No build command detected\n");
+  }
+
+  return { error: null, outputDir: null };
+}
+
+function readBundleHistory(project, config) {
+  if (!config.bundleSize.history) {
+    return { releases: [] };
+  }
+
+  const historyPath = path.join(project.root, config.bundleSize.history);
+  if (!fs.existsSync(historyPath)) {
+    return { releases: [] };
+  }
+
+  const history = safeParseJson(
+    safeReadFile(historyPath, config.bundleSize.history),
+    historyPath,
+    config.bundleSize.history,
+  );
+  return { ...history, releases: history.releases || [] };
+}
+
+function measureBundleSize(project, config, outputDir, version = null) {
+  const bundle = measureBundle(path.join(project.root, outputDir));
+  const history = readBundleHistory(project, config);
+  const previous = findPreviousRelease(history, version);
+  const comparison = compareBundles(bundle, previous);
+
+  process.stdout.write(
+    `  [OK] Bundle size: ${formatSize(bundle.total)}, gzip ${formatSize(bundle.gzip)}, brotli ${formatSize(bundle.brotli)}\n`,
+  );
+  if (previous) {
+    const percent = previous.total
+      ? ` (${comparison.total < 0 ? "-" : "+"}${Math.abs((comparison.total / previous.total) * 100).toFixed(1)}%)`
+      : "";
+    process.stdout.write(
+      `  Since ${formatTagName(config.tagFormat, previous.version)}: ${formatSizeChange(comparison.total)}${percent}, gzip ${formatSizeChange(comparison.gzip)}, brotli ${formatSizeChange(comparison.brotli)}\n`,
+    );
+  } else if (config.bundleSize.history) {
+    process.stdout.write(
+      `  No earlier release in ${config.bundleSize.history} to compare with\n`,
+    );
+  } else {
+    process.stdout.write(
+      "  Bundle history disabled in turl.json, nothing to compare with\n",
+    );
+  }
+
+  const shown = comparison.chunks.slice(0, 10);
+  const width = Math.max(0, ...shown.map((chunk) => chunk.name.length));
+  for (const chunk of shown) {
+    const change = previous
+      ? `  ${chunk.change === null ? "new" : formatSizeChange(chunk.change)}`
+      : "";
+    process.stdout.write(
+      `    ${chunk.name.padEnd(width)}  ${formatSize(chunk.size).padStart(9)}  gzip ${formatSize(chunk.gzip).padStart(9)}${change}\n`,
+    );
+  }
+  if (comparison.chunks.length > shown.length) {
+    process.stdout.write(
+      `    ... and ${comparison.chunks.length - shown.length} more\n`,
+    );
+  }
+  for (const name of comparison.removed) {
+    process.stdout.write(`    ${name}  removed\n`);
+  }
+
+  return { bundle, history, previous, comparison };
+}
+
+function checkBundleBudget(config, bundle) {
+  const exceeded = checkBudget(bundle, config.bundleSize.budget);
+  if (exceeded.length === 0) {
+    return null;
+  }
+
+  return new TurlError(
+    `Bundle size budget exceeded: ${exceeded.map((item) => `${item.name} ${formatSize(item.size)} > ${formatSize(item.limit)}`).join(", ")}`,
+    ErrorCodes.BUNDLE_BUDGET_EXCEEDED,
+    {
+      suggestion:
+        'Make the bundle smaller, or raise "bundleSize.budget" in turl.json',
+    },
+  );
+}
+
+function formatBundleSize(config, bundleSize) {
+  const { bundle, previous, comparison } = bundleSize;
+  const since = previous
+    ? ` (${formatSizeChange(comparison.gzip)} since ${formatTagName(config.tagFormat, previous.version)})`
+    : "";
+  return `${formatSize(bundle.total)}, gzip ${formatSize(bundle.gzip)}${since}`;
+}
+
+function writeBundleHistory(project, config, version, bundleSize) {
+  const today = new Date().toISOString().split("T")[0];
+  const history = addRelease(
+    bundleSize.history,
+    version,
+    today,
+    bundleSize.bundle,
+  );
+  safeWriteFile(
+    path.join(project.root, config.bundleSize.history),
+    JSON.stringify(history, null, 2) + "\n",
+    config.bundleSize.history,
+  );
+  process.stdout.write(
+    `  [OK] Recorded the bundle size in ${config.bundleSize.history}\n`,
+  );
+}
+
+export {
+  runBuildStep,
+  measureBundleSize,
+  checkBundleBudget,
+  formatBundleSize,
+  writeBundleHistory,
+};
@@ -0,0 +1,163 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+
+const CHUNK_EXTENSIONS = [".js", ".mjs", ".css"];
+const COMPRESSIBLE_EXTENSIONS = [
+  ...CHUNK_EXTENSIONS,
+  ".html",
+  ".svg",
+  ".json",
+  ".webmanifest",
+  ".txt",
+  ".xml",
+];
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*(B|KB|MB)$/i;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+const VITE_HASH = /-([\w-]{8})(?=\.(?:m?js|css)$)/;
+const WEBPACK_HASH = /\.[a-f0-9]{8,}(?=(?:\.chunk)?\.(?:m?js|css)$)/;
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+function parseSize(value) {
+  if (typeof value === "number") return value;
+  const match = value.match(SIZE_PATTERN);
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+function getChunkName(filePath) {
+  const withoutHash = filePath.replace(WEBPACK_HASH, "");
+  if (withoutHash !== filePath) return withoutHash;
+
+  return filePath.replace(VITE_HASH, (match, hash) =>
+    /[A-Z0-9_-]/.test(hash) ? "" : match,
+  );
+}
+
+function listFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(fullPath));
+    } else if (entry.isFile() && !entry.name.endsWith(".map")) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function measureFile(filePath) {
+  const content = fs.readFileSync(filePath);
+  if (!COMPRESSIBLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    return {
+      size: content.length,
+      gzip: content.length,
+      brotli: content.length,
+    };
+  }
+
+  return {
+    size: content.length,
+    gzip: zlib.gzipSync(content, { level: 9 }).length,
+    brotli: zlib.brotliCompressSync(content).length,
+  };
+}
+
+function measureBundle(outputPath) {
+  const bundle = { total: 0, gzip: 0, brotli: 0, chunks: {} };
+
+  for (const filePath of listFiles(outputPath)) {
+    const sizes = measureFile(filePath);
+    bundle.total += sizes.size;
+    bundle.gzip += sizes.gzip;
+    bundle.brotli += sizes.brotli;
+
+    if (!CHUNK_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      continue;
+    }
+    const name = getChunkName(toPosix(path.relative(outputPath, filePath)));
+    const chunk = bundle.chunks[name] || { size: 0, gzip: 0, brotli: 0 };
+    bundle.chunks[name] = {
+      size: chunk.size + sizes.size,
+      gzip: chunk.gzip + sizes.gzip,
+      brotli: chunk.brotli + sizes.brotli,
+    };
+  }
+
+  return bundle;
+}
+
+function findPreviousRelease(history, version) {
+  const releases = history.releases.filter(
+    (release) => release.version !== version,
+  );
+  return releases.length > 0 ? releases[releases.length - 1] : null;
+}
+
+function addRelease(history, version, date, bundle) {
+  return {
+    ...history,
+    releases: [
+      ...history.releases.filter((release) => release.version !== version),
+      { version, date, ...bundle },
+    ],
+  };
+}
+
+function compareBundles(bundle, previous) {
+  const previousChunks = previous ? previous.chunks || {} : {};
+  const chunks = Object.entries(bundle.chunks)
+    .map(([name, sizes]) => ({
+      name,
+      ...sizes,
+      change: previousChunks[name]
+        ? sizes.size - previousChunks[name].size
+        : null,
+    }))
+    .sort((a, b) => b.size - a.size);
+
+  return {
+    total: previous ? bundle.total - previous.total : null,
+    gzip: previous ? bundle.gzip - previous.gzip : null,
+    brotli: previous ? bundle.brotli - previous.brotli : null,
+    chunks,
+    removed: Object.keys(previousChunks).filter((name) => !bundle.chunks[name]),
+  };
+}
+
+function checkBudget(bundle, budget) {
+  const exceeded = [];
+
+  for (const key of ["total", "gzip", "brotli"]) {
+    if (budget[key] !== undefined && bundle[key] > parseSize(budget[key])) {
+      exceeded.push({
+        name: key,
+        size: bundle[key],
+        limit: parseSize(budget[key]),
+      });
+    }
+  }
+
+  if (budget.chunk !== undefined) {
+    const limit = parseSize(budget.chunk);
+    for (const [name, sizes] of Object.entries(bundle.chunks)) {
+      if (sizes.size > limit) {
+        exceeded.push({ name, size: sizes.size, limit });
+      }
+    }
+  }
+
+  return exceeded;
+}
+
+export {
+  SIZE_PATTERN,
+  measureBundle,
+  findPreviousRelease,
+  addRelease,
+  compareBundles,
+  checkBudget,
+};
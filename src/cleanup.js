@@ -1,6 +1,20 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { DEFAULT_STRIP, removeDebugStatements } from "./jsCleanup.js";
+import {
+  STYLESHEET_EXTENSIONS,
+  parseStylesheet,
+  collectStylesheetUsage,
+  removeUnusedRules,
+} from "./cssCleanup.js";
+import {
+  ASSET_EXTENSIONS,
+  IMPLICIT_ASSETS,
+  collectAssetReferences,
+  createAssetMatcher,
+} from "./assetCleanup.js";
+import { findDeadCode } from "./deadCode.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,7 +30,22 @@ const IGNORE_DIRS = [
   ".cache",
 ];
 const JS_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx"];
-const CSS_EXTENSIONS = [".css"];
+const TEMPLATE_EXTENSIONS = [
+  ".html",
+  ".htm",
+  ".ejs",
+  ".hbs",
+  ".handlebars",
+  ".njk",
+];
+const TEMPLATE_DIRS = ["public"];
+const REFERENCE_EXTENSIONS = [
+  ...JS_EXTENSIONS,
+  ...STYLESHEET_EXTENSIONS,
+  ...TEMPLATE_EXTENSIONS,
+  ".json",
+  ".webmanifest",
+];
 
 class CleanupError extends Error {
   constructor(message, code, details = {}) {
@@ -35,6 +64,7 @@ const ErrorCodes = {
   PERMISSION_DENIED: "PERMISSION_DENIED",
   DIRECTORY_SCAN_ERROR: "DIRECTORY_SCAN_ERROR",
   INVALID_FILE_CONTENT: "INVALID_FILE_CONTENT",
+  PARSE_ERROR: "PARSE_ERROR",
 };
 
 function validateProjectRoot(projectRoot) {
@@ -211,48 +241,127 @@ function getAllFiles(dir, extensions, files = [], errors = []) {
   return { files, errors };
 }
 
-function removeConsoleLogs(content) {
-  if (typeof content !== "string") {
-    throw new CleanupError(
-      "Invalid content type for console log removal",
-      ErrorCodes.INVALID_FILE_CONTENT,
-      { contentType: typeof content },
-    );
-  }
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-  let result = content;
+function toCamelCase(className) {
+  return className.replace(/[-_]+([a-zA-Z0-9])/g, (_, char) =>
+    char.toUpperCase(),
+  );
+}
 
-  result = result.replace(
-    /console\.log\s*\((?:[^)(]+|\((?:[^)(]+|\([^)(]*\))*\))*\)\s*;?\s*\n?/g,
-    "",
+function createSafelist(safelist = {}) {
+  const classes = new Set(safelist.classes || []);
+  const prefixes = safelist.prefixes || [];
+  const patterns = (safelist.patterns || []).map(
+    (pattern) => new RegExp(pattern),
   );
-  result = result.replace(/^\s*\n/gm, "\n");
-  result = result.replace(/\n{3,}/g, "\n\n");
 
-  return result;
+  return (className) =>
+    classes.has(className) ||
+    prefixes.some((prefix) => className.startsWith(prefix)) ||
+    patterns.some((pattern) => pattern.test(className));
+}
+
+function getTemplateFiles(resolvedRoot, srcDirs, errors) {
+  const files = [];
+
+  for (const dir of [
+    ...srcDirs,
+    ...TEMPLATE_DIRS.map((name) => path.join(resolvedRoot, name)),
+  ]) {
+    if (fs.existsSync(dir)) {
+      getAllFiles(dir, TEMPLATE_EXTENSIONS, files, errors);
+    }
+  }
+
+  try {
+    for (const entry of fs.readdirSync(resolvedRoot, { withFileTypes: true })) {
+      const ext = path.extname(entry.name).toLowerCase();
+      if (entry.isFile() && TEMPLATE_EXTENSIONS.includes(ext)) {
+        files.push(path.join(resolvedRoot, entry.name));
+      }
+    }
+  } catch (err) {
+    errors.push({ path: resolvedRoot, code: err.code, message: err.message });
+  }
+
+  return [...new Set(files)];
 }
 
-function extractCssClasses(cssContent) {
-  if (typeof cssContent !== "string") {
-    return new Set();
+function findUnusedAssets(resolvedRoot, srcDirs, keepAssets, fileCache, stats) {
+  const dirs = [
+    ...srcDirs,
+    ...TEMPLATE_DIRS.map((name) => path.join(resolvedRoot, name)),
+  ].filter((dir) => fs.existsSync(dir));
+  const assetResult = { files: [], errors: [] };
+  const referenceResult = { files: [], errors: [] };
+
+  for (const dir of dirs) {
+    getAllFiles(dir, ASSET_EXTENSIONS, assetResult.files, assetResult.errors);
+    getAllFiles(
+      dir,
+      REFERENCE_EXTENSIONS,
+      referenceResult.files,
+      referenceResult.errors,
+    );
   }
+  referenceResult.files.push(
+    ...getTemplateFiles(resolvedRoot, [], referenceResult.errors),
+  );
 
-  const classRegex = /\.([a-zA-Z_][\w-]*)/g;
-  const classes = new Set();
-  let match;
+  stats.warnings.push(
+    ...[...assetResult.errors, ...referenceResult.errors].map((e) => ({
+      code: ErrorCodes.DIRECTORY_SCAN_ERROR,
+      message: `Failed to scan directory: ${e.path}`,
+      details: e,
+    })),
+  );
 
-  while ((match = classRegex.exec(cssContent)) !== null) {
-    classes.add(match[1]);
+  const references = { paths: new Set(), patterns: new Set() };
+  for (const file of new Set(referenceResult.files)) {
+    try {
+      if (!fileCache.has(file)) {
+        fileCache.set(file, safeReadFile(file));
+      }
+      collectAssetReferences(fileCache.get(file), references);
+    } catch (err) {
+      stats.errors.push({
+        code: err.code || "UNKNOWN_ERROR",
+        message: err.message,
+        details: err.details || { path: file },
+      });
+    }
   }
 
-  return classes;
+  const isReferenced = createAssetMatcher(references);
+  const unused = [];
+  for (const file of new Set(assetResult.files)) {
+    const assetPath = path
+      .relative(resolvedRoot, file)
+      .split(path.sep)
+      .join("/");
+    if (
+      IMPLICIT_ASSETS.includes(assetPath) ||
+      keepAssets.some((keep) => assetPath.startsWith(keep)) ||
+      isReferenced(assetPath)
+    ) {
+      continue;
+    }
+    unused.push({ file, path: assetPath, size: fs.statSync(file).size });
+  }
+
+  return unused;
 }
 
-function isClassUsedInJsFiles(className, jsFiles, fileCache = new Map()) {
+function isClassUsedInFiles(rawClassName, files, fileCache = new Map()) {
+  const className = escapeRegExp(rawClassName);
+  const camelName = toCamelCase(rawClassName);
   const patterns = [
     new RegExp(`['"\`]${className}['"\`]`, "g"),
     new RegExp(
-      `className\\s*=\\s*['"\`][^'"\`]*\\b${className}\\b[^'"\`]*['"\`]`,
+      `class(?:Name)?\\s*=\\s*['"\`][^'"\`]*\\b${className}\\b[^'"\`]*['"\`]`,
       "g",
     ),
     new RegExp(
@@ -266,15 +375,18 @@ function isClassUsedInJsFiles(className, jsFiles, fileCache = new Map()) {
       "g",
     ),
   ];
+  if (camelName !== rawClassName) {
+    patterns.push(new RegExp(`\\.${escapeRegExp(camelName)}\\b`, "g"));
+  }
 
-  for (const jsFile of jsFiles) {
+  for (const file of files) {
     try {
       let content;
-      if (fileCache.has(jsFile)) {
-        content = fileCache.get(jsFile);
+      if (fileCache.has(file)) {
+        content = fileCache.get(file);
       } else {
-        content = safeReadFile(jsFile);
-        fileCache.set(jsFile, content);
+        content = safeReadFile(file);
+        fileCache.set(file, content);
       }
 
       for (const pattern of patterns) {
@@ -289,81 +401,28 @@ function isClassUsedInJsFiles(className, jsFiles, fileCache = new Map()) {
   return false;
 }
 
-function removeUnusedCssClasses(cssContent, jsFiles) {
-  if (typeof cssContent !== "string") {
-    throw new CleanupError(
-      "Invalid content type for CSS class removal",
-      ErrorCodes.INVALID_FILE_CONTENT,
-      { contentType: typeof cssContent },
-    );
-  }
-
-  const fileCache = new Map();
-  const lines = cssContent.split("\n");
-  const result = [];
-  let inRuleBlock = false;
-  let braceCount = 0;
-  let skipCurrentRule = false;
-
-  for (const line of lines) {
-    if (!inRuleBlock) {
-      const selectorMatch = line.match(
-        /^(\s*)(\.([a-zA-Z_][\w-]*)[^{]*)\{?\s*$/,
-      );
-
-      if (selectorMatch) {
-        const className = selectorMatch[3];
-        const hasOpenBrace = line.includes("{");
-        const hasCloseBrace = line.includes("}");
-
-        if (!isClassUsedInJsFiles(className, jsFiles, fileCache)) {
-          if (hasOpenBrace && hasCloseBrace) {
-            skipCurrentRule = false;
-          } else if (hasOpenBrace) {
-            inRuleBlock = true;
-            braceCount = 1;
-            skipCurrentRule = true;
-          }
-        } else {
-          result.push(line);
-          if (hasOpenBrace && !hasCloseBrace) {
-            inRuleBlock = true;
-            braceCount = 1;
-            skipCurrentRule = false;
-          }
-        }
-      } else {
-        result.push(line);
-
-        if (line.includes("{") && !line.includes("}")) {
-          inRuleBlock = true;
-          braceCount = 1;
-          skipCurrentRule = false;
-        }
-      }
-    } else {
-      if (!skipCurrentRule) {
-        result.push(line);
-      }
-
-      braceCount += (line.match(/{/g) || []).length;
-      braceCount -= (line.match(/}/g) || []).length;
-
-      if (braceCount <= 0) {
-        inRuleBlock = false;
-        skipCurrentRule = false;
-      }
-    }
-  }
-
-  return result.join("\n");
-}
-
-export async function run(projectRoot) {
+export async function run(projectRoot, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const sourceDirs = options.sourceDirs || ["src"];
+  const removeLogs = options.consoleLogs !== false;
+  const strip = options.strip || DEFAULT_STRIP;
+  const removeCss = options.unusedCss !== false;
+  const isSafelisted = createSafelist(options.safelist);
+  const assetMode =
+    options.unusedAssets === undefined ? "report" : options.unusedAssets;
+  const findDead = options.deadCode !== false;
   const stats = {
-    consoleLogsRemoved: 0,
+    debugStatementsRemoved: 0,
+    debugStatementsByType: {},
+    debugStatementsSkipped: 0,
+    debugStatementsKept: 0,
+    keptFiles: [],
     cssClassesRemoved: 0,
+    unusedAssets: [],
+    assetsRemoved: 0,
+    deadCode: null,
     filesProcessed: 0,
+    files: [],
     errors: [],
     warnings: [],
   };
@@ -383,19 +442,35 @@ export async function run(projectRoot) {
     throw err;
   }
 
-  const srcDir = path.join(resolvedRoot, "src");
+  const srcDirs = [];
+  for (const dir of sourceDirs) {
+    const srcDir = path.join(resolvedRoot, dir);
+    if (fs.existsSync(srcDir)) {
+      srcDirs.push(srcDir);
+    } else {
+      stats.warnings.push({
+        code: ErrorCodes.SRC_DIR_NOT_FOUND,
+        message: `Source directory not found: ${srcDir}`,
+        details: { path: srcDir },
+      });
+    }
+  }
 
-  if (!fs.existsSync(srcDir)) {
-    stats.warnings.push({
-      code: ErrorCodes.SRC_DIR_NOT_FOUND,
-      message: `Source directory not found: ${srcDir}`,
-      details: { path: srcDir },
-    });
+  if (srcDirs.length === 0) {
     return stats;
   }
 
-  const jsResult = getAllFiles(srcDir, JS_EXTENSIONS);
-  const cssResult = getAllFiles(srcDir, CSS_EXTENSIONS);
+  const jsResult = { files: [], errors: [] };
+  const cssResult = { files: [], errors: [] };
+  for (const srcDir of srcDirs) {
+    getAllFiles(srcDir, JS_EXTENSIONS, jsResult.files, jsResult.errors);
+    getAllFiles(
+      srcDir,
+      STYLESHEET_EXTENSIONS,
+      cssResult.files,
+      cssResult.errors,
+    );
+  }
 
   if (jsResult.errors.length > 0) {
     stats.warnings.push(
@@ -417,21 +492,49 @@ export async function run(projectRoot) {
     );
   }
 
-  const jsFiles = jsResult.files;
-  const cssFiles = cssResult.files;
+  const jsFiles = [...new Set(jsResult.files)];
+  const cssFiles = [...new Set(cssResult.files)];
+  const fileCache = new Map();
 
-  for (const file of jsFiles) {
+  for (const file of removeLogs ? jsFiles : []) {
     try {
       const content = safeReadFile(file);
-      const cleaned = removeConsoleLogs(content);
+      let result;
+      try {
+        result = removeDebugStatements(content, file, strip);
+      } catch (err) {
+        stats.warnings.push({
+          code: ErrorCodes.PARSE_ERROR,
+          message: `Skipped ${path.relative(resolvedRoot, file)}: ${err.message}`,
+          details: { path: file },
+        });
+        continue;
+      }
+      const cleaned = result.content;
+      fileCache.set(file, cleaned);
+      stats.debugStatementsSkipped += result.skipped;
+      stats.debugStatementsKept += result.kept;
+      if (result.keptFile) {
+        stats.keptFiles.push(path.relative(resolvedRoot, file));
+      }
 
       if (cleaned !== content) {
-        safeWriteFile(file, cleaned);
-        const removed =
-          (content.match(/console\.log/g) || []).length -
-          (cleaned.match(/console\.log/g) || []).length;
-        stats.consoleLogsRemoved += removed;
+        if (!dryRun) {
+          safeWriteFile(file, cleaned);
+        }
+        let removed = 0;
+        for (const [name, count] of Object.entries(result.removed)) {
+          stats.debugStatementsByType[name] =
+            (stats.debugStatementsByType[name] || 0) + count;
+          removed += count;
+        }
+        stats.debugStatementsRemoved += removed;
         stats.filesProcessed++;
+        stats.files.push({
+          path: path.relative(resolvedRoot, file),
+          debugStatementsRemoved: removed,
+          cssClassesRemoved: 0,
+        });
       }
     } catch (err) {
       if (err instanceof CleanupError) {
@@ -450,19 +553,121 @@ export async function run(projectRoot) {
     }
   }
 
-  for (const file of cssFiles) {
+  if (findDead) {
+    const readSource = (file) => {
+      if (!fileCache.has(file)) {
+        fileCache.set(file, safeReadFile(file));
+      }
+      return fileCache.get(file);
+    };
+    const { warnings, ...deadCode } = findDeadCode(
+      resolvedRoot,
+      srcDirs,
+      jsFiles,
+      readSource,
+    );
+    stats.deadCode = deadCode;
+    stats.warnings.push(
+      ...warnings.map((message) => ({ code: ErrorCodes.PARSE_ERROR, message })),
+    );
+  }
+
+  const stylesheets = [];
+  const stylesheetUsage = new Set();
+  for (const file of removeCss ? cssFiles : []) {
     try {
-      const content = safeReadFile(file);
-      const classesBefore = extractCssClasses(content).size;
-      const cleaned = removeUnusedCssClasses(content, jsFiles);
-      const classesAfter = extractCssClasses(cleaned).size;
-      const removed = classesBefore - classesAfter;
+      const sheet = parseStylesheet(safeReadFile(file), file);
+      stylesheets.push({ file, sheet });
+      for (const className of collectStylesheetUsage(sheet.root)) {
+        stylesheetUsage.add(className);
+      }
+    } catch (err) {
+      if (err instanceof CleanupError) {
+        stats.errors.push({
+          code: err.code,
+          message: err.message,
+          details: err.details,
+        });
+      } else {
+        stats.warnings.push({
+          code: ErrorCodes.PARSE_ERROR,
+          message: `Skipped ${path.relative(resolvedRoot, file)}: ${err.message}`,
+          details: { path: file },
+        });
+      }
+    }
+  }
 
-      if (cleaned !== content) {
-        safeWriteFile(file, cleaned);
-        stats.cssClassesRemoved += removed;
-        stats.filesProcessed++;
+  const templateErrors = [];
+  const usageFiles = [
+    ...jsFiles,
+    ...(stylesheets.length > 0
+      ? getTemplateFiles(resolvedRoot, srcDirs, templateErrors)
+      : []),
+  ];
+  stats.warnings.push(
+    ...templateErrors.map((e) => ({
+      code: ErrorCodes.DIRECTORY_SCAN_ERROR,
+      message: `Failed to scan directory: ${e.path}`,
+      details: e,
+    })),
+  );
+
+  const classUsage = new Map();
+  const isUsed = (className) => {
+    if (!classUsage.has(className)) {
+      classUsage.set(
+        className,
+        isSafelisted(className) ||
+          stylesheetUsage.has(className) ||
+          isClassUsedInFiles(className, usageFiles, fileCache),
+      );
+    }
+    return classUsage.get(className);
+  };
+
+  const pruned = [];
+  for (const { file, sheet } of stylesheets) {
+    try {
+      const result = removeUnusedRules(sheet, isUsed);
+      if (result.content !== sheet.content) {
+        pruned.push({
+          file,
+          path: path.relative(resolvedRoot, file),
+          content: result.content,
+          classes: result.removed,
+        });
       }
+    } catch (err) {
+      stats.errors.push({
+        code: "UNKNOWN_ERROR",
+        message: `Unexpected error processing ${file}: ${err.message}`,
+        details: { path: file },
+      });
+    }
+  }
+
+  if (pruned.length > 0 && options.beforeCssRemoval) {
+    await options.beforeCssRemoval(
+      pruned.map(({ path: filePath, classes }) => ({
+        path: filePath,
+        classes,
+      })),
+    );
+  }
+
+  for (const { file, path: filePath, content, classes } of pruned) {
+    try {
+      if (!dryRun) {
+        safeWriteFile(file, content);
+      }
+      stats.cssClassesRemoved += classes.length;
+      stats.filesProcessed++;
+      stats.files.push({
+        path: filePath,
+        debugStatementsRemoved: 0,
+        cssClassesRemoved: classes.length,
+      });
     } catch (err) {
       if (err instanceof CleanupError) {
         stats.errors.push({
@@ -480,6 +685,36 @@ export async function run(projectRoot) {
     }
   }
 
+  if (assetMode) {
+    const unused = findUnusedAssets(
+      resolvedRoot,
+      srcDirs,
+      options.keepAssets || [],
+      fileCache,
+      stats,
+    );
+    stats.unusedAssets = unused.map(({ path: assetPath, size }) => ({
+      path: assetPath,
+      size,
+    }));
+
+    for (const { file } of assetMode === "delete" ? unused : []) {
+      try {
+        if (!dryRun) {
+          fs.unlinkSync(file);
+        }
+        stats.assetsRemoved++;
+        stats.filesProcessed++;
+      } catch (err) {
+        stats.errors.push({
+          code: ErrorCodes.FILE_WRITE_ERROR,
+          message: `Failed to delete ${file}: ${err.message}`,
+          details: { path: file, originalError: err.message },
+        });
+      }
+    }
+  }
+
   return stats;
 }
 
@@ -0,0 +1,397 @@
+import { TurlError, ErrorCodes } from "./errors.js";
+import { runReleaseCommand } from "./commands/release.js";
+import { runBumpCommand } from "./commands/bump.js";
+import { runCleanupCommand } from "./commands/cleanup.js";
+import { runChangelogCommand } from "./commands/changelog.js";
+import { runBuildCommand } from "./commands/build.js";
+import { runPublishCommand } from "./commands/publish.js";
+import { runStatusCommand } from "./commands/status.js";
+
+const OPTION_HELP = {
+  branch: [
+    '  -b, --branch <name>   Override the branch to push to (default: from turl.json or "main")',
+  ],
+  dryRun: [
+    "  --dry-run             Run every step and print what would happen without changing anything",
+  ],
+  bump: [
+    "  --major               Bump the major version (1.4.2 -> 2.0.0)",
+    "  --minor               Bump the minor version (1.4.2 -> 1.5.0)",
+    "  --patch               Bump the patch version (1.4.2 -> 1.4.3)",
+  ],
+  version: [
+    "  --version <x.y.z>     Release an explicit version",
+    "                        (without a bump flag, the level is picked from the",
+    "                        Conventional Commits since the last release)",
+  ],
+  preid: [
+    "  --preid <id>          Release a pre-release on a channel such as alpha, beta",
+    "                        or rc (1.3.0 -> 1.4.0-rc.1 -> 1.4.0-rc.2)",
+    "  --prerelease <id>     Same as --preid",
+  ],
+  promote: [
+    "  --promote             Release the current pre-release as stable",
+    "                        (1.4.0-rc.2 -> 1.4.0)",
+  ],
+  noAi: [
+    "  --no-ai               Build the changelog and commit message from git history",
+    "                        instead of calling the AI provider",
+  ],
+  packages: [
+    "  -p, --package <name>  In a workspace, release only this package (repeatable)",
+  ],
+  commitPerPackage: [
+    "  --commit-per-package  In a workspace, make one release commit per package",
+  ],
+  check: [
+    "  --check               Change nothing and exit with code 1 if anything would",
+    "                        be removed",
+  ],
+  write: [
+    "  --write               Add the entry to the changelog file instead of only",
+    "                        printing it",
+  ],
+  releaseBranch: [
+    "  --release-branch      Commit to a release/<tag> branch and push it for a pull",
+    "                        request instead of pushing to the target branch",
+  ],
+  allowBuildFailure: [
+    "  --allow-build-failure Release even when the build fails or its output is",
+    "                        missing",
+  ],
+};
+
+const COMMANDS = {
+  release: {
+    summary: "Run the full release pipeline (default)",
+    options: [
+      "branch",
+      "dryRun",
+      "bump",
+      "version",
+      "preid",
+      "promote",
+      "noAi",
+      "packages",
+      "commitPerPackage",
+      "releaseBranch",
+      "allowBuildFailure",
+    ],
+    remote: true,
+    ai: true,
+    snapshot: true,
+    run: runReleaseCommand,
+  },
+  bump: {
+    summary: "Write the next version to turl.json and the version files",
+    description:
+      "Picks the next version like the release does, without committing.",
+    options: ["dryRun", "bump", "version", "preid", "promote", "packages"],
+    snapshot: true,
+    run: runBumpCommand,
+  },
+  cleanup: {
+    summary: "Remove debug statements and unused CSS classes",
+    description:
+      "Use --check as a pre-commit check: it fails when anything would be removed.",
+    options: ["dryRun", "check", "packages"],
+    run: runCleanupCommand,
+  },
+  changelog: {
+    summary: "Preview the changelog entry for the next release",
+    description:
+      "Uses the version in turl.json when it is not tagged yet, e.g. after 'turl-release bump'.",
+    options: [
+      "write",
+      "noAi",
+      "bump",
+      "version",
+      "preid",
+      "promote",
+      "packages",
+    ],
+    ai: true,
+    snapshot: true,
+    run: runChangelogCommand,
+  },
+  build: {
+    summary: "Run the production build",
+    options: ["dryRun", "packages"],
+    run: runBuildCommand,
+  },
+  publish: {
+    summary: "Commit, tag and push the version in turl.json",
+    description:
+      "Tags the version written by 'turl-release bump', using its changelog entry.",
+    options: [
+      "branch",
+      "dryRun",
+      "packages",
+      "commitPerPackage",
+      "releaseBranch",
+    ],
+    remote: true,
+    snapshot: true,
+    run: runPublishCommand,
+  },
+  status: {
+    summary: "Show the current version and the unreleased changes",
+    options: ["packages"],
+    run: runStatusCommand,
+  },
+};
+
+function readFlagValue(value) {
+  return value && !value.startsWith("--") ? value : "";
+}
+
+function parseArgs(argv) {
+  const options = {
+    command: "release",
+    branch: null,
+    dryRun: false,
+    bump: null,
+    version: null,
+    preid: null,
+    promote: false,
+    noAi: false,
+    packages: [],
+    commitPerPackage: false,
+    check: false,
+    write: false,
+    releaseBranch: false,
+    allowBuildFailure: false,
+  };
+  const used = [];
+
+  let i = 0;
+  if (argv[0] === "help") {
+    printHelp(argv[1] || null);
+    process.exit(0);
+  }
+  if (argv[0] && !argv[0].startsWith("-")) {
+    if (!COMMANDS[argv[0]]) {
+      throw new TurlError(
+        `Unknown command "${argv[0]}"`,
+        ErrorCodes.INVALID_ARGUMENTS,
+        {
+          suggestion: `Use one of: ${Object.keys(COMMANDS).join(", ")}`,
+        },
+      );
+    }
+    options.command = argv[0];
+    i = 1;
+  }
+
+  for (; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--branch" || arg === "-b") {
+      options.branch = readFlagValue(argv[i + 1]);
+      used.push(["branch", arg]);
+      i++;
+    } else if (arg.startsWith("--branch=")) {
+      options.branch = readFlagValue(arg.split("=")[1]);
+      used.push(["branch", "--branch"]);
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+      used.push(["dryRun", arg]);
+    } else if (arg === "--no-ai") {
+      options.noAi = true;
+      used.push(["noAi", arg]);
+    } else if (arg === "--major" || arg === "--minor" || arg === "--patch") {
+      const level = arg.slice(2);
+      if (options.bump && options.bump !== level) {
+        throw new TurlError(
+          `Conflicting bump flags: --${options.bump} and ${arg}`,
+          ErrorCodes.INVALID_ARGUMENTS,
+          { suggestion: "Pass only one of --major, --minor or --patch" },
+        );
+      }
+      options.bump = level;
+      used.push(["bump", arg]);
+    } else if (arg === "--version") {
+      options.version = readFlagValue(argv[i + 1]);
+      used.push(["version", arg]);
+      i++;
+    } else if (arg.startsWith("--version=")) {
+      options.version = readFlagValue(arg.split("=")[1]);
+      used.push(["version", "--version"]);
+    } else if (arg === "--preid" || arg === "--prerelease") {
+      options.preid = readFlagValue(argv[i + 1]);
+      used.push(["preid", arg]);
+      i++;
+    } else if (arg.startsWith("--preid=") || arg.startsWith("--prerelease=")) {
+      options.preid = readFlagValue(arg.split("=")[1]);
+      used.push(["preid", arg.split("=")[0]]);
+    } else if (arg === "--promote") {
+      options.promote = true;
+      used.push(["promote", arg]);
+    } else if (arg === "--package" || arg === "-p") {
+      options.packages.push(readFlagValue(argv[i + 1]));
+      used.push(["packages", arg]);
+      i++;
+    } else if (arg.startsWith("--package=")) {
+      options.packages.push(readFlagValue(arg.split("=")[1]));
+      used.push(["packages", "--package"]);
+    } else if (arg === "--commit-per-package") {
+      options.commitPerPackage = true;
+      used.push(["commitPerPackage", arg]);
+    } else if (arg === "--check") {
+      options.check = true;
+      used.push(["check", arg]);
+    } else if (arg === "--write") {
+      options.write = true;
+      used.push(["write", arg]);
+    } else if (arg === "--release-branch") {
+      options.releaseBranch = true;
+      used.push(["releaseBranch", arg]);
+    } else if (arg === "--allow-build-failure") {
+      options.allowBuildFailure = true;
+      used.push(["allowBuildFailure", arg]);
+    } else if (arg === "--help" || arg === "-h") {
+      printHelp(options.command);
+      process.exit(0);
+    } else {
+      throw new TurlError(
+        `Unknown argument "${arg}"`,
+        ErrorCodes.INVALID_ARGUMENTS,
+        {
+          suggestion: `Run 'turl-release ${options.command} --help' to see its options`,
+        },
+      );
+    }
+  }
+
+  const command = COMMANDS[options.command];
+  for (const [key, flag] of used) {
+    if (!command.options.includes(key)) {
+      throw new TurlError(
+        `${flag} cannot be used with the ${options.command} command`,
+        ErrorCodes.INVALID_ARGUMENTS,
+        {
+          suggestion: `Run 'turl-release ${options.command} --help' to see its options`,
+        },
+      );
+    }
+  }
+
+  if (options.branch !== null && !options.branch) {
+    throw new TurlError(
+      "--branch requires a branch name",
+      ErrorCodes.INVALID_ARGUMENTS,
+    );
+  }
+
+  if (options.version !== null && !options.version) {
+    throw new TurlError(
+      "--version requires a value such as 3.0.0",
+      ErrorCodes.INVALID_ARGUMENTS,
+    );
+  }
+
+  if (options.packages.some((name) => !name)) {
+    throw new TurlError(
+      "--package requires a workspace package name",
+      ErrorCodes.INVALID_ARGUMENTS,
+    );
+  }
+
+  if (options.preid !== null && !options.preid) {
+    throw new TurlError(
+      "--preid requires a channel name such as alpha, beta or rc",
+      ErrorCodes.INVALID_ARGUMENTS,
+    );
+  }
+
+  if (options.promote && (options.bump || options.version || options.preid)) {
+    throw new TurlError(
+      "--promote cannot be combined with bump, --version or --preid flags",
+      ErrorCodes.INVALID_ARGUMENTS,
+      { suggestion: "--promote releases the current pre-release as stable" },
+    );
+  }
+
+  if (options.version && options.preid) {
+    throw new TurlError(
+      "--version cannot be combined with --preid",
+      ErrorCodes.INVALID_ARGUMENTS,
+      { suggestion: "Pass the full version instead, e.g. 2.0.0-rc.1" },
+    );
+  }
+
+  if (options.version && options.bump) {
+    throw new TurlError(
+      `--version cannot be combined with --${options.bump}`,
+      ErrorCodes.INVALID_ARGUMENTS,
+      { suggestion: "Pass either an explicit version or a bump flag" },
+    );
+  }
+
+  return options;
+}
+
+function printHelp(commandName = null) {
+  const command = COMMANDS[commandName];
+  if (commandName && !command) {
+    throw new TurlError(
+      `Unknown command "${commandName}"`,
+      ErrorCodes.INVALID_ARGUMENTS,
+      { suggestion: `Use one of: ${Object.keys(COMMANDS).join(", ")}` },
+    );
+  }
+
+  if (command && commandName !== "release") {
+    const options = [...command.options, "help"].flatMap((key) =>
+      key === "help"
+        ? ["  -h, --help            Show this help message"]
+        : OPTION_HELP[key],
+    );
+    process.stdout.write(`
+turl-release ${commandName} - ${command.summary}
+
+Usage: turl-release ${commandName} [options]
+${command.description ? `\n${command.description}\n` : ""}
+Options:
+${options.join("\n")}
+
+`);
+    return;
+  }
+
+  const commands = Object.entries(COMMANDS).map(
+    ([name, { summary }]) => `  ${name.padEnd(22)}${summary}`,
+  );
+  const options = COMMANDS.release.options.flatMap((key) => OPTION_HELP[key]);
+
+  process.stdout.write(`
+turl-release - Automated semantic versioning and release tool
+
+Usage: turl-release [command] [options]
+
+Commands:
+${commands.join("\n")}
+
+Run 'turl-release <command> --help' for the options of a command.
+
+Options:
+${options.join("\n")}
+  -h, --help            Show this help message
+
+Configuration (turl.json):
+  {
+    "version": "1.0.0",
+    "projectName": "my-project",
+    "branch": "main",
+    "remote": "origin",
+    "tagFormat": "v{version}",
+    "commands": { "build": "npm run build", "test": "npm test" },
+    "cleanup": { "consoleLogs": true, "strip": ["console.log", "debugger"] },
+    "sourceDirs": ["src"],
+    "changelog": { "path": "CHANGELOG.md" },
+    "push": true
+  }
+
+`);
+}
+
+export { COMMANDS, parseArgs, printHelp };
@@ -0,0 +1,32 @@
+import { printError, printSummary } from "../output.js";
+import {
+  runBuildStep,
+  measureBundleSize,
+  checkBundleBudget,
+} from "../buildOutput.js";
+import { createHookContext, runReleaseHooks } from "../hookRunner.js";
+
+async function runBuildCommand(loaded, cliOptions) {
+  for (const { project, config } of loaded) {
+    const build = await runBuildStep(project, config, cliOptions.dryRun);
+    if (build.error) {
+      printError(build.error);
+      process.exit(1);
+    }
+    if (build.outputDir && config.bundleSize) {
+      const { bundle } = measureBundleSize(project, config, build.outputDir);
+      const budgetError = checkBundleBudget(config, bundle);
+      if (budgetError) {
+        printError(budgetError);
+        process.exit(1);
+      }
+    }
+
+    const hookContext = createHookContext(project, config, cliOptions);
+    await runReleaseHooks("afterBuild", config, hookContext);
+  }
+
+  printSummary(cliOptions.dryRun ? "Dry run complete" : "Build complete");
+}
+
+export { runBuildCommand };
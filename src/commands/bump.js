@@ -0,0 +1,51 @@
+import { getLastReleaseRef, getCommitsSince } from "../git.js";
+import { printSummary } from "../output.js";
+import {
+  createHookContext,
+  listChangedFiles,
+  runReleaseHooks,
+} from "../hookRunner.js";
+import { selectCandidates } from "../preflight.js";
+import { calculateVersion, updateVersionFiles } from "../release.js";
+
+async function runBumpCommand(loaded, cliOptions) {
+  const candidates = await selectCandidates(loaded, cliOptions);
+  const bumped = [];
+
+  for (const { project, config } of candidates) {
+    const hookContext = createHookContext(project, config, cliOptions);
+    const releaseCommits = getCommitsSince(
+      getLastReleaseRef(config.tagFormat, project),
+      project,
+    );
+    const { newVersion, tagName } = await calculateVersion(
+      project,
+      config,
+      cliOptions,
+      releaseCommits,
+    );
+    await updateVersionFiles(project, config, newVersion, cliOptions.dryRun);
+
+    hookContext.version = newVersion;
+    hookContext.tag = tagName;
+    hookContext.changedFiles = listChangedFiles(project);
+    await runReleaseHooks("afterBump", config, hookContext);
+    bumped.push(`${config.projectName} v${newVersion}`);
+  }
+
+  if (bumped.length === 0) {
+    printSummary("Bump skipped - no changes");
+    return;
+  }
+
+  if (cliOptions.dryRun) {
+    printSummary(`Dry run complete: ${bumped.join(", ")}`);
+    return;
+  }
+  process.stdout.write(
+    "\n  TIP: Run 'turl-release publish' to commit, tag and push it\n",
+  );
+  printSummary(`Bumped ${bumped.join(", ")}`);
+}
+
+export { runBumpCommand };
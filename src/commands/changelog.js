@@ -0,0 +1,73 @@
+import {
+  projectPath,
+  hasChanges,
+  getLastReleaseRef,
+  getCommitsSince,
+} from "../git.js";
+import { printSummary } from "../output.js";
+import { buildChangelogEntry, writeChangelog } from "../releaseNotes.js";
+import {
+  createHookContext,
+  listChangedFiles,
+  runReleaseHooks,
+} from "../hookRunner.js";
+import { selectCandidates } from "../preflight.js";
+import { getReleaseChanges, resolvePendingVersion } from "../release.js";
+
+async function runChangelogCommand(loaded, cliOptions) {
+  const candidates = await selectCandidates(loaded, cliOptions);
+
+  for (const { project, config, ai } of candidates) {
+    const releaseCommits = getCommitsSince(
+      getLastReleaseRef(config.tagFormat, project),
+      project,
+    );
+    const { newVersion, bumpLevel, tagName } = await resolvePendingVersion(
+      project,
+      config,
+      cliOptions,
+      releaseCommits,
+    );
+
+    const { changelogEntry } = await buildChangelogEntry(
+      { project, config, ai },
+      {
+        currentVersion: config.version,
+        newVersion,
+        bumpLevel,
+        historyOnly: !hasChanges(project),
+        releaseCommits,
+        releaseChanges: getReleaseChanges(project),
+      },
+      true,
+    );
+
+    if (!cliOptions.write) {
+      process.stdout.write(
+        `  TIP: Run 'turl-release changelog --write' to add it to ${projectPath(project, config.changelog.path)}\n`,
+      );
+      continue;
+    }
+
+    const hookContext = createHookContext(project, config, cliOptions);
+    hookContext.version = newVersion;
+    hookContext.tag = tagName;
+    hookContext.changelog = await writeChangelog(
+      project,
+      config,
+      changelogEntry,
+      newVersion,
+      false,
+    );
+    hookContext.changedFiles = listChangedFiles(project);
+    await runReleaseHooks("afterChangelog", config, hookContext);
+  }
+
+  if (candidates.length === 0) {
+    printSummary("Changelog skipped - no changes");
+  } else if (cliOptions.write) {
+    printSummary("Changelog updated");
+  }
+}
+
+export { runChangelogCommand };
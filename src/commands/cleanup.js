@@ -0,0 +1,51 @@
+import { TurlError, ErrorCodes } from "../errors.js";
+import { printError, printSummary } from "../output.js";
+import {
+  createHookContext,
+  listChangedFiles,
+  runReleaseHooks,
+} from "../hookRunner.js";
+import { runCleanupStep } from "../release.js";
+
+async function runCleanupCommand(loaded, cliOptions) {
+  const dryRun = cliOptions.dryRun || cliOptions.check;
+  let found = 0;
+
+  for (const { project, config } of loaded) {
+    const stats = await runCleanupStep(project, config, dryRun);
+    if (stats) {
+      found +=
+        (stats.debugStatementsRemoved || 0) +
+        stats.cssClassesRemoved +
+        (stats.assetsRemoved || 0);
+    }
+
+    if (!cliOptions.check) {
+      const hookContext = createHookContext(project, config, cliOptions);
+      hookContext.changedFiles = listChangedFiles(project);
+      await runReleaseHooks("afterCleanup", config, hookContext);
+    }
+  }
+
+  if (cliOptions.check && found > 0) {
+    printError(
+      new TurlError(
+        `Cleanup would remove ${found} debug statements, unused CSS classes or assets`,
+        ErrorCodes.CLEANUP_FAILED,
+        {
+          suggestion:
+            "Run 'turl-release cleanup' to remove them, or keep them with turl-keep or cleanup.safelist",
+        },
+      ),
+    );
+    process.exit(1);
+  }
+
+  if (cliOptions.check) {
+    printSummary("Cleanup check passed");
+  } else {
+    printSummary(dryRun ? "Dry run complete" : "Cleanup complete");
+  }
+}
+
+export { runCleanupCommand };
@@ -0,0 +1,115 @@
+import { TurlError, ErrorCodes } from "../errors.js";
+import {
+  projectPath,
+  hasChanges,
+  getDiffNumstat,
+  formatTagName,
+  getLastReleaseRef,
+  getCommitsSince,
+  tagExists,
+} from "../git.js";
+import {
+  printError,
+  printIndented,
+  printStep,
+  printSummary,
+} from "../output.js";
+import { exitWithRollback } from "../rollback.js";
+import {
+  buildOfflineNotes,
+  generateOfflineChangelog,
+  readChangelogEntry,
+} from "../releaseNotes.js";
+import { createHookContext, listChangedFiles } from "../hookRunner.js";
+import { checkBranchState } from "../releaseBranch.js";
+import { finishRelease } from "../release.js";
+
+async function runPublishCommand(loaded, cliOptions) {
+  const releases = [];
+  await checkBranchState(loaded, cliOptions);
+
+  for (const { project, config } of loaded) {
+    const version = config.version;
+    const tagName = formatTagName(config.tagFormat, version);
+    printStep(null, `Preparing v${version}`, project);
+
+    if (tagExists(tagName)) {
+      if (project.workspace) {
+        process.stdout.write(`  [SKIP] ${tagName} is already tagged\n`);
+        continue;
+      }
+      printError(
+        new TurlError(
+          `Version ${version} is already tagged as ${tagName}`,
+          ErrorCodes.GIT_TAG_EXISTS,
+          {
+            tag: tagName,
+            suggestion: "Run 'turl-release bump' to set the next version first",
+          },
+        ),
+      );
+      await exitWithRollback(1);
+    }
+
+    const changelogPath = projectPath(project, config.changelog.path);
+    let changelogEntry = readChangelogEntry(project, config, version);
+    if (changelogEntry) {
+      process.stdout.write(
+        `  [OK] Using the ${version} entry from ${changelogPath}\n`,
+      );
+    } else {
+      try {
+        changelogEntry = generateOfflineChangelog(
+          version,
+          buildOfflineNotes(
+            getCommitsSince(
+              getLastReleaseRef(config.tagFormat, project),
+              project,
+            ),
+            getDiffNumstat(true, project),
+            changelogPath,
+          ),
+        );
+        process.stdout.write(
+          `  [WARN] No ${version} entry in ${changelogPath}, built the notes from git history\n`,
+        );
+      } catch (err) {
+        printError(err);
+        await exitWithRollback(1);
+      }
+    }
+    if (cliOptions.dryRun) {
+      printIndented(changelogEntry);
+    }
+
+    const hookContext = createHookContext(project, config, cliOptions);
+    hookContext.version = version;
+    hookContext.tag = tagName;
+    hookContext.changelog = changelogEntry;
+    hookContext.changedFiles = listChangedFiles(project);
+
+    releases.push({
+      project,
+      config,
+      ai: null,
+      hookContext,
+      currentVersion: version,
+      newVersion: version,
+      tagName,
+      changelogEntry,
+      offlineNotes: changelogEntry
+        .split("\n")
+        .filter((line) => line.startsWith("- "))
+        .map((line) => line.slice(2)),
+    });
+  }
+
+  if (releases.length === 0) {
+    printSummary("Publish skipped - every version is already tagged");
+    return;
+  }
+
+  await finishRelease(releases, cliOptions, hasChanges());
+}
+
+export { runPublishCommand };
@@ -0,0 +1,40 @@
+import { printSummary } from "../output.js";
+import { runQualityGates } from "../qualityGates.js";
+import { createHookContext, runReleaseHooks } from "../hookRunner.js";
+import { selectCandidates } from "../preflight.js";
+import { checkBranchState } from "../releaseBranch.js";
+import { prepareRelease, finishRelease } from "../release.js";
+
+async function runReleaseCommand(loaded, cliOptions) {
+  const candidates = await selectCandidates(loaded, cliOptions);
+  await checkBranchState(candidates, cliOptions);
+
+  for (const candidate of candidates) {
+    candidate.hookContext = createHookContext(
+      candidate.project,
+      candidate.config,
+      cliOptions,
+    );
+    await runReleaseHooks("preflight", candidate.config, candidate.hookContext);
+  }
+
+  await runQualityGates(candidates, cliOptions.dryRun);
+
+  const releases = [];
+  for (const candidate of candidates) {
+    const release = await prepareRelease(candidate, cliOptions);
+    if (release) {
+      releases.push(release);
+    }
+  }
+
+  if (releases.length === 0) {
+    process.stdout.write("  No changes detected. Nothing to release.\n");
+    printSummary("Release skipped - no changes");
+    process.exit(0);
+  }
+
+  await finishRelease(releases, cliOptions);
+}
+
+export { runReleaseCommand };
@@ -0,0 +1,79 @@
+import { resolveNextVersion, determineBump } from "../version.js";
+import {
+  getDiffNumstat,
+  formatTagName,
+  getLastReleaseRef,
+  getCommitsSince,
+  tagExists,
+} from "../git.js";
+import { printStep } from "../output.js";
+import { isVersionPending } from "../release.js";
+
+async function runStatusCommand(loaded) {
+  for (const { project, config } of loaded) {
+    printStep(null, "Release status", project);
+
+    const tagName = formatTagName(config.tagFormat, config.version);
+    const tagged = tagExists(tagName);
+    const pending = isVersionPending(project, config);
+    const ref = getLastReleaseRef(config.tagFormat, project);
+    const since = ref && ref.length === 40 ? ref.substring(0, 7) : ref;
+    const commits = getCommitsSince(ref, project, true);
+    const changed = getDiffNumstat(false, project).map((stat) => stat.file);
+
+    if (tagged) {
+      process.stdout.write(`  Tag: ${tagName} (released)\n`);
+    } else if (pending) {
+      process.stdout.write(`  Tag: ${tagName} (bumped, not published yet)\n`);
+    }
+    process.stdout.write(`  Last release: ${since || "none"}\n`);
+
+    process.stdout.write(
+      `  ${commits.length} commit${commits.length === 1 ? "" : "s"} since the last release\n`,
+    );
+    for (const commit of commits.slice(0, 10)) {
+      process.stdout.write(
+        `    ${commit.hash.substring(0, 7)} ${commit.subject}\n`,
+      );
+    }
+    if (commits.length > 10) {
+      process.stdout.write(`    ... and ${commits.length - 10} more\n`);
+    }
+
+    process.stdout.write(
+      `  ${changed.length} uncommitted file${changed.length === 1 ? "" : "s"}\n`,
+    );
+    for (const file of changed.slice(0, 10)) {
+      process.stdout.write(`    ${file}\n`);
+    }
+    if (changed.length > 10) {
+      process.stdout.write(`    ... and ${changed.length - 10} more\n`);
+    }
+
+    if (pending) {
+      process.stdout.write(
+        `  TIP: Run 'turl-release publish' to release ${config.version}\n`,
+      );
+    } else if (commits.length === 0 && changed.length === 0) {
+      process.stdout.write("  Nothing to release\n");
+    } else {
+      try {
+        const next = resolveNextVersion(config.version, {
+          autoBump: determineBump(commits).level,
+        });
+        if (next.migratedFrom) {
+          process.stdout.write(
+            `  Two-part version ${next.migratedFrom} will be migrated to ${next.migratedFrom}.0\n`,
+          );
+        }
+        process.stdout.write(
+          `  Next version: ${next.version} (${next.level})\n`,
+        );
+      } catch (err) {
+        process.stdout.write(`  [WARN] ${err.message}\n`);
+      }
+    }
+  }
+}
+
+export { runStatusCommand };
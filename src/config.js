@@ -0,0 +1,400 @@
+import { TurlError, ErrorCodes } from "./errors.js";
+import { HOOK_NAMES } from "./hooks.js";
+import { DEFAULT_STRIP } from "./jsCleanup.js";
+import { SIZE_PATTERN } from "./bundleSize.js";
+import { FORGE_TYPES } from "./forge.js";
+
+const nonEmptyString = { type: "string", minLength: 1 };
+const command = {
+  anyOf: [nonEmptyString, { const: false }],
+  description: "a command string or false",
+};
+
+const size = {
+  anyOf: [{ type: "number" }, { type: "string", pattern: SIZE_PATTERN }],
+  description: 'a size in bytes or a string such as "250 KB"',
+};
+
+const hookEntry = {
+  anyOf: [
+    nonEmptyString,
+    {
+      type: "object",
+      properties: { module: nonEmptyString },
+      required: ["module"],
+    },
+  ],
+  description: 'a command string or { "module" }',
+};
+const hook = {
+  anyOf: [hookEntry, { type: "array", items: hookEntry }],
+  description: 'a command string, { "module" } or a list of them',
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    version: { type: ["string", "number"] },
+    projectName: nonEmptyString,
+    branch: nonEmptyString,
+    remote: nonEmptyString,
+    tagFormat: { type: "string", includes: "{version}" },
+    ai: {
+      anyOf: [
+        { const: false },
+        {
+          type: "object",
+          properties: {
+            provider: nonEmptyString,
+            baseUrl: nonEmptyString,
+            model: nonEmptyString,
+            temperature: { type: "number" },
+            apiKeyEnv: nonEmptyString,
+          },
+        },
+      ],
+      description: "false or an object",
+    },
+    commands: {
+      type: "object",
+      properties: {
+        build: command,
+        format: command,
+        test: command,
+        lint: command,
+        typecheck: command,
+      },
+    },
+    cleanup: {
+      type: "object",
+      properties: {
+        consoleLogs: { type: "boolean" },
+        strip: {
+          type: "array",
+          items: {
+            type: "string",
+            pattern: /^(?:[A-Za-z_$][\w$]*\.)?[A-Za-z_$][\w$]*$/,
+            description: 'a call such as "console.debug" or "alert"',
+          },
+        },
+        unusedCss: { type: "boolean" },
+        unusedAssets: {
+          anyOf: [{ const: false }, { enum: ["report", "delete"] }],
+          description: 'false, "report" or "delete"',
+        },
+        keepAssets: { type: "array", items: nonEmptyString },
+        deadCode: {
+          anyOf: [{ const: false }, { enum: ["report", "fail"] }],
+          description: 'false, "report" or "fail"',
+        },
+        safelist: {
+          type: "object",
+          properties: {
+            classes: { type: "array", items: nonEmptyString },
+            prefixes: { type: "array", items: nonEmptyString },
+            patterns: {
+              type: "array",
+              items: { type: "string", minLength: 1, regex: true },
+            },
+          },
+        },
+      },
+    },
+    sourceDirs: { type: "array", items: nonEmptyString, minItems: 1 },
+    buildOutput: {
+      anyOf: [
+        { const: false },
+        {
+          type: "object",
+          properties: {
+            dir: nonEmptyString,
+            files: { type: "array", items: nonEmptyString },
+          },
+        },
+      ],
+      description: 'false or { "dir", "files" }',
+    },
+    bundleSize: {
+      anyOf: [
+        { const: false },
+        {
+          type: "object",
+          properties: {
+            history: {
+              anyOf: [nonEmptyString, { const: false }],
+              description: "a file path or false",
+            },
+            changelog: { type: "boolean" },
+            budget: {
+              type: "object",
+              properties: {
+                total: size,
+                gzip: size,
+                brotli: size,
+                chunk: size,
+              },
+            },
+          },
+        },
+      ],
+      description: 'false or { "history", "changelog", "budget" }',
+    },
+    changelog: {
+      type: "object",
+      properties: {
+        path: nonEmptyString,
+        prereleases: { enum: ["separate", "fold"] },
+      },
+    },
+    push: { type: "boolean" },
+    releaseBranch: {
+      anyOf: [
+        { type: "boolean" },
+        {
+          type: "object",
+          properties: {
+            name: nonEmptyString,
+            prFile: nonEmptyString,
+            forge: {
+              type: "object",
+              properties: {
+                type: { enum: FORGE_TYPES },
+                baseUrl: nonEmptyString,
+                repo: nonEmptyString,
+                tokenEnv: nonEmptyString,
+              },
+            },
+          },
+        },
+      ],
+      description: 'true, false or { "name", "prFile", "forge" }',
+    },
+    hooks: {
+      type: "object",
+      properties: Object.fromEntries(HOOK_NAMES.map((name) => [name, hook])),
+    },
+    versionFiles: {
+      type: "array",
+      items: {
+        anyOf: [
+          nonEmptyString,
+          {
+            type: "object",
+            properties: { path: nonEmptyString, key: nonEmptyString },
+            required: ["path"],
+          },
+        ],
+        description: 'a file path or { "path", "key" }',
+      },
+    },
+  },
+};
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function joinField(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+function validateValue(schema, value, field) {
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(
+      (option) => validateValue(option, value, field) === null,
+    );
+    if (matches) return null;
+    return {
+      field,
+      message: `"${field}" must be ${schema.description}, got ${describeType(value)}`,
+    };
+  }
+
+  if ("const" in schema) {
+    return value === schema.const
+      ? null
+      : { field, message: `"${field}" must be ${schema.const}` };
+  }
+
+  if (schema.enum) {
+    return schema.enum.includes(value)
+      ? null
+      : {
+          field,
+          message: `"${field}" must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`,
+        };
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!types.includes(describeType(value))) {
+    return {
+      field,
+      message: `"${field}" must be ${types.map(withArticle).join(" or ")}, got ${describeType(value)}`,
+    };
+  }
+
+  if (schema.minLength && value.length < schema.minLength) {
+    return { field, message: `"${field}" must not be empty` };
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    return {
+      field,
+      message: `"${field}" must be ${schema.description}, got ${JSON.stringify(value)}`,
+    };
+  }
+
+  if (schema.regex) {
+    try {
+      new RegExp(value);
+    } catch (err) {
+      return {
+        field,
+        message: `"${field}" is not a valid regular expression: ${err.message}`,
+      };
+    }
+  }
+
+  if (schema.includes && !value.includes(schema.includes)) {
+    return { field, message: `"${field}" must contain "${schema.includes}"` };
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      return { field, message: `"${field}" must not be empty` };
+    }
+    for (let i = 0; i < value.length; i++) {
+      const error = validateValue(schema.items, value[i], `${field}[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  if (schema.type === "object") {
+    const known = Object.keys(schema.properties);
+    for (const key of Object.keys(value)) {
+      if (!known.includes(key)) {
+        return {
+          field: joinField(field, key),
+          message: `unknown field "${joinField(field, key)}"`,
+          suggestion: `Remove it, or use one of: ${known.join(", ")}`,
+        };
+      }
+      const error = validateValue(
+        schema.properties[key],
+        value[key],
+        joinField(field, key),
+      );
+      if (error) return error;
+    }
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        return {
+          field: joinField(field, key),
+          message: `"${joinField(field, key)}" is required`,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+function validateConfig(parsed, filePath) {
+  if (describeType(parsed) !== "object") {
+    throw new TurlError(
+      "Invalid turl.json: the file must contain a JSON object",
+      ErrorCodes.CONFIG_INVALID,
+      { path: filePath, field: null },
+    );
+  }
+
+  const error = validateValue(CONFIG_SCHEMA, parsed, "");
+  if (!error) {
+    return parsed;
+  }
+
+  throw new TurlError(
+    `Invalid turl.json: ${error.message}`,
+    ErrorCodes.CONFIG_INVALID,
+    {
+      path: filePath,
+      field: error.field || null,
+      suggestion:
+        error.suggestion || "Fix the field in turl.json, see the README",
+    },
+  );
+}
+
+function resolveConfig(parsed, defaults) {
+  const commands = parsed.commands || {};
+  const changelog = parsed.changelog || {};
+  const cleanup = parsed.cleanup || {};
+
+  return {
+    version: String(parsed.version || defaults.version),
+    projectName: parsed.projectName || defaults.projectName,
+    branch: parsed.branch || defaults.branch,
+    remote: parsed.remote || "origin",
+    tagFormat: parsed.tagFormat || defaults.tagFormat,
+    ai: parsed.ai,
+    commands: {
+      build: commands.build === undefined ? null : commands.build,
+      format: commands.format === undefined ? null : commands.format,
+      test: commands.test === undefined ? null : commands.test,
+      lint: commands.lint === undefined ? null : commands.lint,
+      typecheck: commands.typecheck === undefined ? null : commands.typecheck,
+    },
+    cleanup: {
+      consoleLogs: true,
+      strip: DEFAULT_STRIP,
+      unusedCss: true,
+      unusedAssets: "report",
+      keepAssets: [],
+      deadCode: "report",
+      ...cleanup,
+      safelist: {
+        classes: [],
+        prefixes: [],
+        patterns: [],
+        ...cleanup.safelist,
+      },
+    },
+    sourceDirs: parsed.sourceDirs || ["src"],
+    buildOutput:
+      parsed.buildOutput === false
+        ? false
+        : { dir: null, files: ["index.html"], ...parsed.buildOutput },
+    bundleSize:
+      parsed.bundleSize === false
+        ? false
+        : {
+            history: ".turl/bundle-size.json",
+            changelog: false,
+            budget: {},
+            ...parsed.bundleSize,
+          },
+    changelog: {
+      path: changelog.path || "CHANGELOG.md",
+      prereleases: changelog.prereleases || "separate",
+    },
+    push: parsed.push !== false,
+    releaseBranch: {
+      enabled: Boolean(parsed.releaseBranch),
+      name: "release/{tag}",
+      prFile: null,
+      forge: null,
+      ...(typeof parsed.releaseBranch === "object" ? parsed.releaseBranch : {}),
+    },
+    hooks: parsed.hooks || {},
+    versionFiles: parsed.versionFiles || [],
+    file: parsed,
+  };
+}
+
+export { validateConfig, resolveConfig };
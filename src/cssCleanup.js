@@ -0,0 +1,175 @@
+import path from "path";
+import postcss from "postcss";
+import scss from "postcss-scss";
+import less from "postcss-less";
+import sass from "postcss-sass";
+import selectorParser from "postcss-selector-parser";
+
+const STYLESHEET_EXTENSIONS = [".css", ".scss", ".sass", ".less"];
+const DYNAMIC_SELECTOR = /&[\w-]|#\{|@\{/;
+const KEYFRAMES = /keyframes$/i;
+const MIXIN_PARAMS = /(\.-?[_a-zA-Z][\w-]*)\([^)]*\)/g;
+
+function getSyntax(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".scss") return scss;
+  if (ext === ".less") return less;
+  if (ext === ".sass") return sass;
+  return null;
+}
+
+function parseStylesheet(content, filePath) {
+  const syntax = getSyntax(filePath);
+  const root = syntax
+    ? syntax.parse(content, { from: filePath })
+    : postcss.parse(content, { from: filePath });
+  return { root, syntax, content };
+}
+
+function stringifyStylesheet(sheet) {
+  return sheet.syntax
+    ? sheet.root.toString(sheet.syntax)
+    : sheet.root.toString();
+}
+
+function getSelectorClasses(selector) {
+  if (DYNAMIC_SELECTOR.test(selector)) {
+    return null;
+  }
+
+  const classes = [];
+  try {
+    selectorParser((selectors) => {
+      selectors.walkClasses((node) => {
+        classes.push(node.value);
+      });
+    }).processSync(selector.replace(MIXIN_PARAMS, "$1"));
+  } catch {
+    return null;
+  }
+  return classes;
+}
+
+function getRuleSelectors(rule) {
+  try {
+    return rule.selectors;
+  } catch {
+    return [rule.selector];
+  }
+}
+
+function collectClasses(root) {
+  const classes = new Set();
+  root.walkRules((rule) => {
+    for (const selector of getRuleSelectors(rule)) {
+      for (const className of getSelectorClasses(selector) || []) {
+        classes.add(className);
+      }
+    }
+  });
+  return classes;
+}
+
+function collectStylesheetUsage(root) {
+  const used = new Set();
+
+  root.walkAtRules((atRule) => {
+    if (atRule.name === "extend") {
+      for (const className of getSelectorClasses(atRule.params) || []) {
+        used.add(className);
+      }
+    }
+    if (atRule.mixin) {
+      used.add(atRule.name.replace(/\(.*$/, ""));
+    }
+  });
+
+  return used;
+}
+
+function isSelectorUsed(selector, isUsed) {
+  const classes = getSelectorClasses(selector);
+  if (!classes || classes.length === 0) {
+    return true;
+  }
+  return classes.some((className) => isUsed(className));
+}
+
+function resolveSelectors(selector, parents) {
+  if (!parents || DYNAMIC_SELECTOR.test(selector)) {
+    return [selector];
+  }
+  return parents.map((parent) =>
+    selector.includes("&")
+      ? selector.replace(/&/g, parent)
+      : `${parent} ${selector}`,
+  );
+}
+
+function hasNestedRules(rule) {
+  let nested = false;
+  rule.walkRules(() => {
+    nested = true;
+    return false;
+  });
+  return nested;
+}
+
+function pruneContainer(container, isUsed, parents = null) {
+  let changed = false;
+
+  for (const node of [...container.nodes]) {
+    if (node.type === "rule") {
+      const selectors = getRuleSelectors(node);
+      const resolved = selectors.map((selector) =>
+        resolveSelectors(selector, parents),
+      );
+      changed = pruneContainer(node, isUsed, resolved.flat()) || changed;
+
+      const kept = selectors.filter((selector, index) =>
+        resolved[index].some((full) => isSelectorUsed(full, isUsed)),
+      );
+
+      if (kept.length === 0) {
+        if (!hasNestedRules(node)) {
+          node.remove();
+          changed = true;
+        }
+        continue;
+      }
+      if (kept.length < selectors.length) {
+        node.selectors = kept;
+        changed = true;
+      }
+    } else if (node.type === "atrule" && node.nodes) {
+      if (KEYFRAMES.test(node.name)) continue;
+
+      const hadNodes = node.nodes.length > 0;
+      changed = pruneContainer(node, isUsed, parents) || changed;
+      if (hadNodes && node.nodes.length === 0) {
+        node.remove();
+        changed = true;
+      }
+    }
+  }
+
+  return changed;
+}
+
+function removeUnusedRules(sheet, isUsed) {
+  const before = collectClasses(sheet.root);
+  const changed = pruneContainer(sheet.root, isUsed);
+  const after = collectClasses(sheet.root);
+
+  return {
+    content: changed ? stringifyStylesheet(sheet) : sheet.content,
+    removed: [...before].filter((className) => !after.has(className)),
+  };
+}
+
+export {
+  STYLESHEET_EXTENSIONS,
+  parseStylesheet,
+  collectStylesheetUsage,
+  removeUnusedRules,
+};
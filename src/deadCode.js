@@ -0,0 +1,368 @@
+import fs from "fs";
+import path from "path";
+import { parseSource, walk } from "./jsCleanup.js";
+
+const RESOLVE_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs"];
+const VITE_CONFIGS = [
+  "vite.config.js",
+  "vite.config.ts",
+  "vite.config.mjs",
+  "vite.config.mts",
+  "vite.config.cjs",
+];
+const ENTRY_NAMES = ["index", "main"];
+const AUXILIARY_FILE =
+  /\.(?:test|spec|stories|story)\.[cm]?[jt]sx?$|\.d\.ts$|(?:^|\/)__tests__\/|(?:^|\/)setupTests\.[jt]sx?$/;
+const SCRIPT_SRC = /<script\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi;
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function resolveFile(candidate, files) {
+  const exists = (file) => files.has(file) || isFile(file);
+  const ext = path.extname(candidate);
+  const options = [
+    candidate,
+    ...RESOLVE_EXTENSIONS.map((e) => candidate + e),
+    ...RESOLVE_EXTENSIONS.map((e) => path.join(candidate, `index${e}`)),
+  ];
+  if (RESOLVE_EXTENSIONS.includes(ext)) {
+    const base = candidate.slice(0, -ext.length);
+    options.push(`${base}.ts`, `${base}.tsx`);
+  }
+  return (
+    options.find(
+      (file) => RESOLVE_EXTENSIONS.includes(path.extname(file)) && exists(file),
+    ) || null
+  );
+}
+
+function resolveSpecifier(specifier, fromFile, root) {
+  const clean = specifier.split(/[?#]/)[0];
+  if (clean.startsWith(".")) {
+    return path.resolve(path.dirname(fromFile), clean);
+  }
+  if (clean.startsWith("/")) {
+    return path.join(root, clean);
+  }
+  if (clean.startsWith("@/") || clean.startsWith("~/")) {
+    return path.join(root, "src", clean.slice(2));
+  }
+  return null;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^$()|[\]\\]/g, "\\$&")
+    .replace(/\{([^}]*)\}/g, (_, list) => `(?:${list.split(",").join("|")})`)
+    .replace(/\*\*\//g, "\u0000")
+    .replace(/\*\*/g, ".*")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]")
+    .replace(/\u0000/g, "(?:.*/)?");
+  return new RegExp(`^${source}$`);
+}
+
+function getName(node) {
+  return node.type === "Identifier" ? node.name : node.value;
+}
+
+function getStringArgument(node) {
+  if (!node) return null;
+  if (node.type === "StringLiteral") {
+    return { value: node.value, glob: false };
+  }
+  if (node.type === "TemplateLiteral") {
+    const value = node.quasis.map((quasi) => quasi.value.cooked).join("*");
+    return { value, glob: node.expressions.length > 0 };
+  }
+  return null;
+}
+
+function isImportMetaGlob(callee) {
+  return (
+    callee.type === "MemberExpression" &&
+    callee.object.type === "MetaProperty" &&
+    callee.object.meta.name === "import" &&
+    callee.property.type === "Identifier" &&
+    /^glob/.test(callee.property.name)
+  );
+}
+
+function collectBindingNames(pattern, names) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case "Identifier":
+      names.push(pattern.name);
+      break;
+    case "ObjectPattern":
+      for (const property of pattern.properties) {
+        collectBindingNames(
+          property.type === "RestElement" ? property.argument : property.value,
+          names,
+        );
+      }
+      break;
+    case "ArrayPattern":
+      for (const element of pattern.elements) {
+        collectBindingNames(element, names);
+      }
+      break;
+    case "AssignmentPattern":
+      collectBindingNames(pattern.left, names);
+      break;
+    case "RestElement":
+      collectBindingNames(pattern.argument, names);
+      break;
+  }
+  return names;
+}
+
+function collectExports(ast) {
+  const names = [];
+
+  for (const node of ast.program.body) {
+    if (node.type !== "ExportNamedDeclaration" || node.source) continue;
+
+    const declaration = node.declaration;
+    if (declaration && declaration.type === "VariableDeclaration") {
+      for (const declarator of declaration.declarations) {
+        collectBindingNames(declarator.id, names);
+      }
+    } else if (declaration && declaration.id) {
+      names.push(declaration.id.name);
+    }
+    for (const specifier of node.specifiers) {
+      names.push(getName(specifier.exported));
+    }
+  }
+
+  return names.filter((name) => name !== "default");
+}
+
+function collectImports(ast) {
+  const imports = [];
+  const globs = [];
+
+  const addDynamic = (argument) => {
+    const source = getStringArgument(argument);
+    if (!source) return;
+    if (source.glob) {
+      globs.push(source.value);
+    } else {
+      imports.push({ source: source.value, names: ["*"] });
+    }
+  };
+
+  walk(ast.program, null, null, (node) => {
+    switch (node.type) {
+      case "ImportDeclaration":
+        imports.push({
+          source: node.source.value,
+          names: node.specifiers.map((specifier) => {
+            if (specifier.type === "ImportSpecifier") {
+              return getName(specifier.imported);
+            }
+            return specifier.type === "ImportDefaultSpecifier"
+              ? "default"
+              : "*";
+          }),
+        });
+        break;
+      case "ExportNamedDeclaration":
+        if (node.source) {
+          imports.push({
+            source: node.source.value,
+            names: node.specifiers.map((specifier) =>
+              specifier.type === "ExportSpecifier"
+                ? getName(specifier.local)
+                : "*",
+            ),
+          });
+        }
+        break;
+      case "ExportAllDeclaration":
+        imports.push({ source: node.source.value, names: ["*"] });
+        break;
+      case "ImportExpression":
+        addDynamic(node.source);
+        break;
+      case "CallExpression":
+        if (
+          node.callee.type === "Import" ||
+          (node.callee.type === "Identifier" && node.callee.name === "require")
+        ) {
+          addDynamic(node.arguments[0]);
+        } else if (isImportMetaGlob(node.callee)) {
+          const patterns =
+            node.arguments[0] && node.arguments[0].type === "ArrayExpression"
+              ? node.arguments[0].elements
+              : [node.arguments[0]];
+          for (const pattern of patterns) {
+            const source = getStringArgument(pattern);
+            if (source) globs.push(source.value);
+          }
+        }
+        break;
+    }
+    return true;
+  });
+
+  return { imports, globs };
+}
+
+function findHtmlScripts(htmlPath, root, files) {
+  const entries = [];
+  let content;
+  try {
+    content = fs.readFileSync(htmlPath, "utf-8");
+  } catch {
+    return entries;
+  }
+
+  for (const [, src] of content.matchAll(SCRIPT_SRC)) {
+    const candidate = src.startsWith("/")
+      ? path.join(root, src)
+      : path.resolve(path.dirname(htmlPath), src);
+    const file = resolveFile(candidate.split(/[?#]/)[0], files);
+    if (file) entries.push(file);
+  }
+  return entries;
+}
+
+function findEntryPoints(root, sourceDirs, files, readFile) {
+  const entries = [];
+  const indexHtml = path.join(root, "index.html");
+  if (isFile(indexHtml)) {
+    entries.push(...findHtmlScripts(indexHtml, root, files));
+  }
+
+  for (const name of VITE_CONFIGS) {
+    const configPath = path.join(root, name);
+    if (!isFile(configPath)) continue;
+
+    entries.push(configPath);
+    let ast;
+    try {
+      ast = parseSource(readFile(configPath), configPath);
+    } catch {
+      continue;
+    }
+    walk(ast.program, null, null, (node) => {
+      if (node.type !== "StringLiteral" || !/[./]/.test(node.value)) {
+        return true;
+      }
+      const candidate = path.resolve(root, node.value);
+      if (node.value.endsWith(".html")) {
+        entries.push(...findHtmlScripts(candidate, root, files));
+      } else {
+        const file = resolveFile(candidate, files);
+        if (file) entries.push(file);
+      }
+      return true;
+    });
+  }
+
+  for (const dir of sourceDirs) {
+    for (const name of ENTRY_NAMES) {
+      const file = resolveFile(path.join(dir, name), files);
+      if (file) entries.push(file);
+    }
+  }
+
+  return [...new Set(entries)];
+}
+
+function findDeadCode(root, sourceDirs, jsFiles, readFile) {
+  const files = new Set(jsFiles);
+  const relative = (file) => toPosix(path.relative(root, file));
+  const entries = findEntryPoints(root, sourceDirs, files, readFile);
+  const result = {
+    entries: entries.map(relative),
+    modules: [],
+    exports: [],
+    warnings: [],
+  };
+
+  if (entries.length === 0) {
+    return result;
+  }
+
+  const roots = [
+    ...entries,
+    ...jsFiles.filter((file) => AUXILIARY_FILE.test(relative(file))),
+  ];
+  const parsed = new Map();
+  const usage = new Map();
+  const reachable = new Set();
+  const queue = [...roots];
+
+  const markUsed = (file, names) => {
+    if (!usage.has(file)) usage.set(file, new Set());
+    for (const name of names) usage.get(file).add(name);
+    queue.push(file);
+  };
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (reachable.has(file)) continue;
+    reachable.add(file);
+
+    let info;
+    try {
+      const ast = parseSource(readFile(file), file);
+      info = { ...collectImports(ast), exports: collectExports(ast) };
+    } catch (err) {
+      result.warnings.push(
+        `Could not analyze ${relative(file)}: ${err.message}`,
+      );
+      continue;
+    }
+    parsed.set(file, info);
+
+    for (const { source, names } of info.imports) {
+      const candidate = resolveSpecifier(source, file, root);
+      const target = candidate && resolveFile(candidate, files);
+      if (target) markUsed(target, names);
+    }
+    for (const pattern of info.globs) {
+      const candidate = resolveSpecifier(pattern, file, root);
+      if (!candidate) continue;
+      const matcher = globToRegExp(toPosix(candidate));
+      for (const target of jsFiles) {
+        if (matcher.test(toPosix(target))) markUsed(target, ["*"]);
+      }
+    }
+  }
+
+  const rootSet = new Set(roots);
+  for (const file of jsFiles) {
+    if (!reachable.has(file)) {
+      result.modules.push(relative(file));
+      continue;
+    }
+    const info = parsed.get(file);
+    const used = usage.get(file) || new Set();
+    if (!info || rootSet.has(file) || used.has("*")) continue;
+
+    for (const name of info.exports) {
+      if (!used.has(name)) {
+        result.exports.push({ path: relative(file), name });
+      }
+    }
+  }
+
+  result.modules.sort();
+  return result;
+}
+
+export { findDeadCode };
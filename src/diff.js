@@ -0,0 +1,239 @@
+import path from "path";
+import { complete } from "./providers.js";
+
+const MAX_DIFF_CHARS = 8000;
+
+const LOCKFILES = [
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lock",
+  "bun.lockb",
+];
+const GENERATED_DIRS = ["dist", "build", "coverage", ".next"];
+const GENERATED_PATTERNS = [
+  /\.min\.(js|css)$/,
+  /\.map$/,
+  /\.(png|jpe?g|gif|webp|avif|ico|bmp|woff2?|ttf|otf|eot|mp3|mp4|webm|pdf)$/i,
+];
+
+const summaryCache = new Map();
+
+function splitDiffByFile(diff) {
+  const sections = [];
+  const seen = new Set();
+
+  for (const part of diff.split(/^(?=diff --git )/m)) {
+    if (!part.startsWith("diff --git ")) continue;
+
+    const header = part.substring(0, part.indexOf("\n"));
+    const match = header.match(/^diff --git a\/(.+?) b\/(.+)$/);
+    const file = match ? match[2] : header;
+
+    if (seen.has(file)) continue;
+    seen.add(file);
+
+    sections.push({
+      file,
+      text: part.endsWith("\n") ? part : part + "\n",
+      binary: /^Binary files .* differ$/m.test(part),
+    });
+  }
+
+  return sections;
+}
+
+function getSkipReason(section) {
+  const segments = section.file.split("/");
+
+  if (LOCKFILES.includes(path.posix.basename(section.file))) {
+    return "lockfile";
+  }
+  if (section.binary) {
+    return "binary file";
+  }
+  if (segments.slice(0, -1).some((dir) => GENERATED_DIRS.includes(dir))) {
+    return "generated output";
+  }
+  if (GENERATED_PATTERNS.some((pattern) => pattern.test(section.file))) {
+    return "generated asset";
+  }
+
+  return null;
+}
+
+function countChanges(text) {
+  let added = 0;
+  let removed = 0;
+
+  for (const line of text.split("\n")) {
+    if (line.startsWith("+") && !line.startsWith("+++")) added++;
+    if (line.startsWith("-") && !line.startsWith("---")) removed++;
+  }
+
+  return { added, removed };
+}
+
+function splitHunkByLines(hunk, room) {
+  const lines = hunk.split(/(?<=\n)/);
+  const pieces = [];
+  let current = "";
+
+  for (const line of lines) {
+    if (current && current.length + line.length > room) {
+      pieces.push(current);
+      current = "@@ (continued) @@\n";
+    }
+    current += line;
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+function splitSectionByHunks(section, limit) {
+  const [head, ...hunks] = section.text.split(/^(?=@@ )/m);
+  const room = Math.max(limit - head.length, 500);
+  const groups = [];
+  let current = head;
+
+  for (const hunk of hunks) {
+    const pieces = hunk.length > room ? splitHunkByLines(hunk, room) : [hunk];
+
+    for (const piece of pieces) {
+      if (current !== head && current.length + piece.length > limit) {
+        groups.push(current);
+        current = head;
+      }
+      current += piece;
+    }
+  }
+
+  if (current !== head || groups.length === 0) {
+    groups.push(current);
+  }
+
+  return groups.map((text) => ({ file: section.file, text }));
+}
+
+function buildChunks(sections, limit = MAX_DIFF_CHARS) {
+  const chunks = [];
+  let current = { files: [], text: "" };
+
+  for (const section of sections) {
+    const pieces =
+      section.text.length > limit
+        ? splitSectionByHunks(section, limit)
+        : [{ file: section.file, text: section.text }];
+
+    for (const piece of pieces) {
+      if (current.text && current.text.length + piece.text.length > limit) {
+        chunks.push(current);
+        current = { files: [], text: "" };
+      }
+      current.text += piece.text;
+      if (!current.files.includes(piece.file)) {
+        current.files.push(piece.file);
+      }
+    }
+  }
+
+  if (current.text) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+async function summarizeChunk(ai, projectName, chunk, index, total) {
+  if (summaryCache.has(chunk.text)) {
+    return summaryCache.get(chunk.text);
+  }
+
+  const prompt = `Summarize part ${index} of ${total} of the code changes for ${projectName}.
+
+RULES:
+1. ONLY describe changes that are EXPLICITLY visible in the diff below
+2. Do NOT invent or assume any changes not shown in the diff
+3. Be specific - mention the files, features, fixes or behavior that changed
+4. Use bullet points starting with "-"
+5. Do NOT use any emojis
+6. Output ONLY the bullet points
+
+Files in this part: ${chunk.files.join(", ")}
+
+Diff:
+${chunk.text}`;
+
+  const summary = (await complete(ai, prompt)).trim();
+  summaryCache.set(chunk.text, summary);
+  return summary;
+}
+
+async function prepareDiff(ai, projectName, diff) {
+  const included = [];
+  const skipped = [];
+
+  for (const section of splitDiffByFile(diff)) {
+    const reason = getSkipReason(section);
+    if (reason) {
+      skipped.push({
+        file: section.file,
+        reason,
+        ...countChanges(section.text),
+      });
+    } else {
+      included.push(section);
+    }
+  }
+
+  const result = {
+    text: included.map((section) => section.text).join(""),
+    files: included.map((section) => section.file),
+    skipped,
+    summarized: false,
+    parts: 0,
+    originalLength: diff.length,
+  };
+
+  if (result.text.length <= MAX_DIFF_CHARS) {
+    return result;
+  }
+
+  const chunks = buildChunks(included);
+  const summaries = [];
+  for (let i = 0; i < chunks.length; i++) {
+    summaries.push(
+      await summarizeChunk(ai, projectName, chunks[i], i + 1, chunks.length),
+    );
+  }
+
+  return {
+    ...result,
+    text: summaries.join("\n"),
+    summarized: true,
+    parts: chunks.length,
+  };
+}
+
+function formatSkippedNotes(skipped) {
+  return skipped
+    .map(
+      (entry) =>
+        `- ${entry.file}: ${entry.reason} changed (+${entry.added} -${entry.removed}), contents omitted`,
+    )
+    .join("\n");
+}
+
+export {
+  MAX_DIFF_CHARS,
+  splitDiffByFile,
+  getSkipReason,
+  buildChunks,
+  prepareDiff,
+  formatSkippedNotes,
+};
@@ -0,0 +1,57 @@
+const ErrorCodes = {
+  GIT_NOT_INSTALLED: "GIT_NOT_INSTALLED",
+  GIT_NOT_INITIALIZED: "GIT_NOT_INITIALIZED",
+  GIT_NO_REMOTE: "GIT_NO_REMOTE",
+  GIT_UNCOMMITTED_CHANGES: "GIT_UNCOMMITTED_CHANGES",
+  GIT_COMMIT_FAILED: "GIT_COMMIT_FAILED",
+  GIT_PUSH_FAILED: "GIT_PUSH_FAILED",
+  GIT_TAG_EXISTS: "GIT_TAG_EXISTS",
+  GIT_TAG_FAILED: "GIT_TAG_FAILED",
+  GIT_WRONG_BRANCH: "GIT_WRONG_BRANCH",
+  GIT_FETCH_FAILED: "GIT_FETCH_FAILED",
+  GIT_BEHIND_REMOTE: "GIT_BEHIND_REMOTE",
+  GIT_BRANCH_EXISTS: "GIT_BRANCH_EXISTS",
+  FORGE_CONFIG_INVALID: "FORGE_CONFIG_INVALID",
+  FORGE_REQUEST_FAILED: "FORGE_REQUEST_FAILED",
+  API_KEY_MISSING: "API_KEY_MISSING",
+  API_KEY_INVALID: "API_KEY_INVALID",
+  API_NETWORK_ERROR: "API_NETWORK_ERROR",
+  API_RATE_LIMITED: "API_RATE_LIMITED",
+  API_SERVER_ERROR: "API_SERVER_ERROR",
+  API_RESPONSE_INVALID: "API_RESPONSE_INVALID",
+  AI_CONFIG_INVALID: "AI_CONFIG_INVALID",
+  FILE_READ_ERROR: "FILE_READ_ERROR",
+  FILE_WRITE_ERROR: "FILE_WRITE_ERROR",
+  FILE_PERMISSION_DENIED: "FILE_PERMISSION_DENIED",
+  PACKAGE_JSON_MISSING: "PACKAGE_JSON_MISSING",
+  PACKAGE_JSON_INVALID: "PACKAGE_JSON_INVALID",
+  VERSION_JSON_INVALID: "VERSION_JSON_INVALID",
+  CONFIG_INVALID: "CONFIG_INVALID",
+  VERSION_INVALID: "VERSION_INVALID",
+  CHANGELOG_EMPTY: "CHANGELOG_EMPTY",
+  BUILD_FAILED: "BUILD_FAILED",
+  BUILD_OUTPUT_INVALID: "BUILD_OUTPUT_INVALID",
+  BUNDLE_BUDGET_EXCEEDED: "BUNDLE_BUDGET_EXCEEDED",
+  TESTS_FAILED: "TESTS_FAILED",
+  LINT_FAILED: "LINT_FAILED",
+  TYPECHECK_FAILED: "TYPECHECK_FAILED",
+  HOOK_FAILED: "HOOK_FAILED",
+  FORMATTER_FAILED: "FORMATTER_FAILED",
+  PRETTIER_NOT_INSTALLED: "PRETTIER_NOT_INSTALLED",
+  NODE_MODULES_MISSING: "NODE_MODULES_MISSING",
+  ENV_FILE_MISSING: "ENV_FILE_MISSING",
+  CLEANUP_FAILED: "CLEANUP_FAILED",
+  DEAD_CODE_FOUND: "DEAD_CODE_FOUND",
+  INVALID_ARGUMENTS: "INVALID_ARGUMENTS",
+};
+
+class TurlError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = "TurlError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export { TurlError, ErrorCodes };
@@ -0,0 +1,191 @@
+import { TurlError, ErrorCodes } from "./errors.js";
+
+function buildGitHubRequest(forge, pullRequest) {
+  return {
+    url: `${forge.baseUrl}/repos/${forge.repo}/pulls`,
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/vnd.github+json",
+      Authorization: `Bearer ${forge.token}`,
+    },
+    body: {
+      title: pullRequest.title,
+      body: pullRequest.body,
+      head: pullRequest.head,
+      base: pullRequest.base,
+    },
+  };
+}
+
+function parseGitHubResponse(data) {
+  if (!data.html_url) {
+    return null;
+  }
+  return { number: data.number, url: data.html_url };
+}
+
+function buildGitLabRequest(forge, pullRequest) {
+  return {
+    url: `${forge.baseUrl}/projects/${encodeURIComponent(forge.repo)}/merge_requests`,
+    headers: {
+      "Content-Type": "application/json",
+      "PRIVATE-TOKEN": forge.token,
+    },
+    body: {
+      title: pullRequest.title,
+      description: pullRequest.body,
+      source_branch: pullRequest.head,
+      target_branch: pullRequest.base,
+    },
+  };
+}
+
+function parseGitLabResponse(data) {
+  if (!data.web_url) {
+    return null;
+  }
+  return { number: data.iid, url: data.web_url };
+}
+
+const FORGES = {
+  github: {
+    label: "GitHub",
+    baseUrl: "https://api.github.com",
+    tokenEnv: "GITHUB_TOKEN",
+    buildRequest: buildGitHubRequest,
+    parseResponse: parseGitHubResponse,
+  },
+  gitea: {
+    label: "Gitea",
+    baseUrl: null,
+    tokenEnv: "GITEA_TOKEN",
+    buildRequest: buildGitHubRequest,
+    parseResponse: parseGitHubResponse,
+  },
+  gitlab: {
+    label: "GitLab",
+    baseUrl: "https://gitlab.com/api/v4",
+    tokenEnv: "GITLAB_TOKEN",
+    buildRequest: buildGitLabRequest,
+    parseResponse: parseGitLabResponse,
+  },
+};
+
+const FORGE_TYPES = Object.keys(FORGES);
+
+function getRepoPath(remoteUrl) {
+  const url = remoteUrl
+    .trim()
+    .replace(/\/+$/, "")
+    .replace(/\.git$/, "");
+  const match =
+    url.match(/^[a-z][a-z0-9+.-]*:\/\/[^/]+\/(.+)$/i) ||
+    url.match(/^[^/:]+:(?!\/)(.+)$/);
+  return match && match[1].includes("/") ? match[1] : null;
+}
+
+function invalidConfig(message, field, suggestion) {
+  return new TurlError(message, ErrorCodes.FORGE_CONFIG_INVALID, {
+    field: `releaseBranch.forge.${field}`,
+    suggestion,
+  });
+}
+
+function resolveForgeConfig(forgeConfig, remoteUrl) {
+  const type = forgeConfig.type || "github";
+  const forge = FORGES[type];
+
+  const baseUrl = (forgeConfig.baseUrl || forge.baseUrl || "").replace(
+    /\/+$/,
+    "",
+  );
+  if (!baseUrl) {
+    throw invalidConfig(
+      `${forge.label} requires a baseUrl`,
+      "baseUrl",
+      'Set "baseUrl" to the API address, e.g. "https://git.example.com/api/v1"',
+    );
+  }
+
+  const repo = forgeConfig.repo || getRepoPath(remoteUrl);
+  if (!repo) {
+    throw invalidConfig(
+      `Could not tell the repository from the remote URL ${remoteUrl}`,
+      "repo",
+      'Set "repo" to the repository path, e.g. "acme/my-app"',
+    );
+  }
+
+  const tokenEnv = forgeConfig.tokenEnv || forge.tokenEnv;
+  const token = process.env[tokenEnv];
+  if (!token) {
+    throw new TurlError(
+      `${tokenEnv} not found. Add ${tokenEnv}=your-token to your project's .env file`,
+      ErrorCodes.FORGE_CONFIG_INVALID,
+      {
+        field: "releaseBranch.forge.tokenEnv",
+        suggestion: `Create a token that can open pull requests on ${repo}`,
+      },
+    );
+  }
+
+  return { type, label: forge.label, baseUrl, repo, token };
+}
+
+async function openPullRequest(forge, pullRequest) {
+  const request = FORGES[forge.type].buildRequest(forge, pullRequest);
+  let response;
+
+  try {
+    response = await fetch(request.url, {
+      method: "POST",
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+    });
+  } catch (err) {
+    throw new TurlError(
+      `Network error calling ${forge.label}: ${err.cause ? err.cause.message : err.message}`,
+      ErrorCodes.FORGE_REQUEST_FAILED,
+      {
+        url: request.url,
+        suggestion: "Check your connection and the baseUrl in turl.json",
+      },
+    );
+  }
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = null;
+  }
+
+  if (!response.ok) {
+    const reason = data && data.message ? data.message : text;
+    throw new TurlError(
+      `${forge.label} rejected the pull request: ${response.status} - ${typeof reason === "string" ? reason : JSON.stringify(reason)}`,
+      ErrorCodes.FORGE_REQUEST_FAILED,
+      {
+        status: response.status,
+        suggestion:
+          response.status === 401 || response.status === 403
+            ? "Check that the token is valid and can open pull requests"
+            : "Open the pull request by hand with the title and body above",
+      },
+    );
+  }
+
+  const result = data ? FORGES[forge.type].parseResponse(data) : null;
+  if (!result) {
+    throw new TurlError(
+      `Unexpected response format from ${forge.label}`,
+      ErrorCodes.FORGE_REQUEST_FAILED,
+      { response: data },
+    );
+  }
+
+  return result;
+}
+
+export { FORGE_TYPES, resolveForgeConfig, openPullRequest };
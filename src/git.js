@@ -0,0 +1,474 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+import { TurlError, ErrorCodes } from "./errors.js";
+import { PROJECT_ROOT, ROOT_PROJECT, safeWriteFile } from "./project.js";
+
+function checkGitInstalled() {
+  try {
+    execSync("git --version", { stdio: "pipe" });
+    return true;
+  } catch {
+    throw new TurlError(
+      "Git is not installed or not in PATH",
+      ErrorCodes.GIT_NOT_INSTALLED,
+      { suggestion: "Install git from https://git-scm.com/downloads" },
+    );
+  }
+}
+
+function checkGitRepository() {
+  try {
+    execSync("git rev-parse --git-dir", { cwd: PROJECT_ROOT, stdio: "pipe" });
+    return true;
+  } catch {
+    throw new TurlError(
+      "Not a git repository",
+      ErrorCodes.GIT_NOT_INITIALIZED,
+      {
+        path: PROJECT_ROOT,
+        suggestion: "Run 'git init' to initialize a git repository",
+      },
+    );
+  }
+}
+
+function checkGitRemote() {
+  try {
+    const remotes = execSync("git remote", {
+      cwd: PROJECT_ROOT,
+      encoding: "utf-8",
+      stdio: "pipe",
+    });
+    if (!remotes.trim()) {
+      throw new TurlError(
+        "No git remote configured",
+        ErrorCodes.GIT_NO_REMOTE,
+        { suggestion: "Run 'git remote add origin <url>' to add a remote" },
+      );
+    }
+    return true;
+  } catch (err) {
+    if (err instanceof TurlError) throw err;
+    throw new TurlError(
+      "Failed to check git remotes",
+      ErrorCodes.GIT_NO_REMOTE,
+      { originalError: err.message },
+    );
+  }
+}
+
+function checkRemoteExists(remote) {
+  const remotes = execSync("git remote", {
+    cwd: PROJECT_ROOT,
+    encoding: "utf-8",
+    stdio: "pipe",
+  })
+    .split("\n")
+    .map((name) => name.trim());
+  if (!remotes.includes(remote)) {
+    throw new TurlError(
+      `Git remote "${remote}" from turl.json does not exist`,
+      ErrorCodes.GIT_NO_REMOTE,
+      {
+        remote,
+        suggestion: `Add it with 'git remote add ${remote} <url>', or set "remote" in turl.json to one of: ${remotes.filter(Boolean).join(", ")}`,
+      },
+    );
+  }
+}
+
+function getCurrentBranch() {
+  return execCommand("git rev-parse --abbrev-ref HEAD", {
+    silent: true,
+  }).trim();
+}
+
+function fetchRemoteBranch(remote, branch) {
+  try {
+    execCommand(`git fetch ${remote} "${branch}"`, { silent: true });
+    return true;
+  } catch (err) {
+    const errorMsg = err.stderr || err.message || "";
+    if (errorMsg.includes("couldn't find remote ref")) {
+      return false;
+    }
+    throw new TurlError(
+      `Failed to fetch ${remote}/${branch}`,
+      ErrorCodes.GIT_FETCH_FAILED,
+      {
+        remote,
+        branch,
+        originalError: errorMsg.trim(),
+        suggestion: `Check your connection and credentials with 'git fetch ${remote}'`,
+      },
+    );
+  }
+}
+
+function getAheadBehind(remote, branch) {
+  const [ahead, behind] = execCommand(
+    `git rev-list --left-right --count HEAD..."${remote}/${branch}"`,
+    { silent: true },
+  )
+    .trim()
+    .split(/\s+/)
+    .map(Number);
+  return { ahead, behind };
+}
+
+function rebaseOnto(remote, branch) {
+  try {
+    execCommand(`git rebase --autostash "${remote}/${branch}"`, {
+      silent: true,
+    });
+  } catch (err) {
+    execCommand("git rebase --abort", { silent: true, ignoreError: true });
+    throw new TurlError(
+      `Rebase onto ${remote}/${branch} failed`,
+      ErrorCodes.GIT_BEHIND_REMOTE,
+      {
+        remote,
+        branch,
+        originalError: (err.stderr || err.message || "").trim(),
+        suggestion: `Rebase by hand with 'git pull --rebase ${remote} ${branch}', resolve the conflicts and run the release again`,
+      },
+    );
+  }
+}
+
+function execCommand(command, options = {}) {
+  try {
+    return execSync(command, {
+      cwd: PROJECT_ROOT,
+      encoding: "utf-8",
+      stdio: options.silent ? "pipe" : "inherit",
+      ...options,
+    });
+  } catch (err) {
+    if (options.ignoreError) {
+      return err.stdout || "";
+    }
+    throw err;
+  }
+}
+
+function execCommandSilent(command) {
+  try {
+    return execSync(command, {
+      cwd: PROJECT_ROOT,
+      encoding: "utf-8",
+      stdio: "pipe",
+    });
+  } catch (err) {
+    return err.stdout || err.stderr || "";
+  }
+}
+
+function projectPath(project, file) {
+  return project.dir ? `${project.dir}/${file}` : file;
+}
+
+function gitPathspec(project, excludeTurlJson = false) {
+  const specs = [];
+  if (project.dir) {
+    specs.push(`"${project.dir}"`);
+  } else if (excludeTurlJson) {
+    specs.push(".");
+  }
+  if (excludeTurlJson) {
+    specs.push(`':(exclude)${projectPath(project, "public/turl.json")}'`);
+  }
+  return specs.length > 0 ? ` -- ${specs.join(" ")}` : "";
+}
+
+function hasChanges(project = ROOT_PROJECT) {
+  const status = execCommandSilent(
+    `git status --porcelain${gitPathspec(project)}`,
+  );
+  return status.trim().length > 0;
+}
+
+function getGitDiff(excludeTurlJson = false, project = ROOT_PROJECT) {
+  const pathspec = gitPathspec(project, excludeTurlJson);
+  const diff = execCommandSilent(`git diff HEAD${pathspec}`);
+  const stagedDiff = execCommandSilent(`git diff --cached${pathspec}`);
+  return diff + stagedDiff;
+}
+
+function getGitDiffStat(excludeTurlJson = false, project = ROOT_PROJECT) {
+  const pathspec = gitPathspec(project, excludeTurlJson);
+  const stat = execCommandSilent(`git diff HEAD --stat${pathspec}`);
+  const stagedStat = execCommandSilent(`git diff --cached --stat${pathspec}`);
+  return stat + stagedStat;
+}
+
+function getChangedFiles(excludeTurlJson = false, project = ROOT_PROJECT) {
+  const pathspec = gitPathspec(project);
+  const files = execCommandSilent(`git diff HEAD --name-only${pathspec}`);
+  const stagedFiles = execCommandSilent(
+    `git diff --cached --name-only${pathspec}`,
+  );
+  const combined = files + stagedFiles;
+  let fileList = [...new Set(combined.split("\n").filter(Boolean))];
+
+  if (excludeTurlJson) {
+    fileList = fileList.filter(
+      (f) =>
+        f !== projectPath(project, "public/turl.json") &&
+        f !== projectPath(project, "turl.json"),
+    );
+  }
+
+  return fileList;
+}
+
+function getDiffNumstat(excludeTurlJson = false, project = ROOT_PROJECT) {
+  const pathspec = gitPathspec(project, excludeTurlJson);
+  const numstat = execCommandSilent(`git diff HEAD --numstat${pathspec}`);
+  const untracked = execCommandSilent(
+    `git ls-files --others --exclude-standard${pathspec}`,
+  );
+  const stats = new Map();
+
+  for (const line of numstat.split("\n").filter(Boolean)) {
+    const [added, deleted, ...rest] = line.split("\t");
+    const file = rest.join("\t");
+    if (file) {
+      stats.set(file, { file, added, deleted, untracked: false });
+    }
+  }
+
+  for (const file of untracked.split("\n").filter(Boolean)) {
+    if (!stats.has(file)) {
+      stats.set(file, { file, added: null, deleted: null, untracked: true });
+    }
+  }
+
+  return [...stats.values()];
+}
+
+function formatTagName(tagFormat, version) {
+  return tagFormat.split("{version}").join(version);
+}
+
+function getLastReleaseRef(tagFormat, project = ROOT_PROJECT) {
+  const tagPattern = formatTagName(tagFormat, "*");
+  const tag = execCommandSilent(
+    `git describe --tags --abbrev=0 --match "${tagPattern}"`,
+  ).trim();
+  if (tag && !tag.startsWith("fatal:")) {
+    return tag;
+  }
+
+  const ref = execCommandSilent(
+    `git log -1 --format=%H -- "${projectPath(project, "public/turl.json")}"`,
+  ).trim();
+  return /^[0-9a-f]{40}$/.test(ref) ? ref : null;
+}
+
+function getCommitsSince(ref, project = ROOT_PROJECT, excludeTurlJson = false) {
+  const range = ref ? `${ref}..HEAD` : "HEAD";
+  const pathspec = gitPathspec(project, excludeTurlJson);
+  const output = execCommandSilent(
+    `git log ${range} --format=%H%x1f%s%x1f%b%x1e${pathspec}`,
+  );
+
+  return output
+    .split("\x1e")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [hash, subject, body] = entry.split("\x1f");
+      return { hash, subject: subject || "", body: body || "" };
+    })
+    .filter((commit) => /^[0-9a-f]{40}$/.test(commit.hash));
+}
+
+function gitCommit(commitMessage) {
+  const tempFile = path.join(PROJECT_ROOT, ".commit-msg-temp");
+
+  try {
+    safeWriteFile(tempFile, commitMessage, "commit message temp file");
+    execCommand(`git commit -F "${tempFile}"`, { silent: true });
+
+    try {
+      fs.unlinkSync(tempFile);
+    } catch {}
+  } catch (err) {
+    try {
+      fs.unlinkSync(tempFile);
+    } catch {}
+
+    if (err.message && err.message.includes("nothing to commit")) {
+      throw new TurlError(
+        "Nothing to commit - all changes may have been reverted",
+        ErrorCodes.GIT_COMMIT_FAILED,
+        { suggestion: "Make sure there are actual changes to commit" },
+      );
+    }
+
+    throw new TurlError(
+      `Git commit failed: ${err.message}`,
+      ErrorCodes.GIT_COMMIT_FAILED,
+      { originalError: err.message },
+    );
+  }
+}
+
+function tagExists(tagName) {
+  try {
+    execSync(`git rev-parse -q --verify "refs/tags/${tagName}"`, {
+      cwd: PROJECT_ROOT,
+      stdio: "pipe",
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function checkTagAvailable(tagName) {
+  if (tagExists(tagName)) {
+    throw new TurlError(
+      `Tag ${tagName} already exists`,
+      ErrorCodes.GIT_TAG_EXISTS,
+      {
+        tag: tagName,
+        suggestion: `Pick another version, or delete the tag with 'git tag -d ${tagName}' if it was created by mistake`,
+      },
+    );
+  }
+}
+
+function gitTag(tagName, message) {
+  const tempFile = path.join(PROJECT_ROOT, ".tag-msg-temp");
+
+  try {
+    checkTagAvailable(tagName);
+    safeWriteFile(tempFile, message, "tag message temp file");
+    execCommand(`git tag -a "${tagName}" --cleanup=verbatim -F "${tempFile}"`, {
+      silent: true,
+    });
+  } catch (err) {
+    if (err instanceof TurlError) throw err;
+    throw new TurlError(
+      `Failed to create tag ${tagName}: ${err.message}`,
+      ErrorCodes.GIT_TAG_FAILED,
+      { tag: tagName, originalError: err.message },
+    );
+  } finally {
+    try {
+      fs.unlinkSync(tempFile);
+    } catch {}
+  }
+}
+
+function deleteLocalTag(tagName) {
+  execCommand(`git tag -d "${tagName}"`, { silent: true });
+}
+
+function gitPush(branch = "main", tagNames = [], remote = "origin") {
+  const refs = [
+    branch,
+    ...tagNames.map((tagName) => `"refs/tags/${tagName}"`),
+  ].join(" ");
+  try {
+    execCommand(`git push --atomic ${remote} ${refs}`, { silent: true });
+  } catch (err) {
+    const errorMsg = err.message || err.stderr || "";
+
+    if (
+      errorMsg.includes("rejected") ||
+      errorMsg.includes("non-fast-forward")
+    ) {
+      throw new TurlError(
+        `Push rejected. Remote has changes not present locally.`,
+        ErrorCodes.GIT_PUSH_FAILED,
+        {
+          branch,
+          suggestion: `Pull the latest changes with 'git pull ${remote} ${branch}' and try again`,
+        },
+      );
+    }
+
+    if (
+      errorMsg.includes("Permission denied") ||
+      errorMsg.includes("authentication")
+    ) {
+      throw new TurlError(
+        "Git push failed: Authentication error",
+        ErrorCodes.GIT_PUSH_FAILED,
+        {
+          branch,
+          suggestion: "Check your git credentials or SSH keys",
+        },
+      );
+    }
+
+    if (
+      errorMsg.includes("does not exist") ||
+      errorMsg.includes("Could not read from remote")
+    ) {
+      throw new TurlError(
+        "Git push failed: Remote repository not found",
+        ErrorCodes.GIT_PUSH_FAILED,
+        {
+          branch,
+          suggestion: "Check your remote URL with 'git remote -v'",
+        },
+      );
+    }
+
+    throw new TurlError(
+      `Git push failed: ${errorMsg}`,
+      ErrorCodes.GIT_PUSH_FAILED,
+      { branch, originalError: errorMsg },
+    );
+  }
+}
+
+function checkRemoteBranchFree(remote, name) {
+  const heads = execCommand(`git ls-remote --heads ${remote} "${name}"`, {
+    silent: true,
+  });
+  if (heads.trim()) {
+    throw new TurlError(
+      `Branch ${name} already exists on ${remote}`,
+      ErrorCodes.GIT_BRANCH_EXISTS,
+      {
+        branch: name,
+        suggestion: `Merge or close its pull request and delete the branch, or change releaseBranch.name in turl.json`,
+      },
+    );
+  }
+}
+
+export {
+  checkGitInstalled,
+  checkGitRepository,
+  checkGitRemote,
+  checkRemoteExists,
+  getCurrentBranch,
+  fetchRemoteBranch,
+  getAheadBehind,
+  rebaseOnto,
+  execCommand,
+  execCommandSilent,
+  projectPath,
+  hasChanges,
+  getGitDiff,
+  getGitDiffStat,
+  getChangedFiles,
+  getDiffNumstat,
+  formatTagName,
+  getLastReleaseRef,
+  getCommitsSince,
+  gitCommit,
+  tagExists,
+  checkTagAvailable,
+  gitTag,
+  deleteLocalTag,
+  gitPush,
+  checkRemoteBranchFree,
+};
@@ -0,0 +1,50 @@
+import { getHooks, describeHook, runHook } from "./hooks.js";
+import { releaseState } from "./state.js";
+import { getDiffNumstat } from "./git.js";
+import { printError } from "./output.js";
+import { exitWithRollback } from "./rollback.js";
+
+function createHookContext(project, config, cliOptions) {
+  const context = {
+    projectName: config.projectName,
+    projectRoot: project.root,
+    version: config.version,
+    previousVersion: config.version,
+    tag: null,
+    branch: cliOptions.branch || config.branch,
+    changedFiles: [],
+    changelog: "",
+    dryRun: cliOptions.dryRun,
+  };
+  releaseState.hookContexts.push({ config, context });
+  return context;
+}
+
+function listChangedFiles(project) {
+  return getDiffNumstat(true, project).map((stat) => stat.file);
+}
+
+async function runHooks(name, config, context) {
+  for (const entry of getHooks(config.hooks, name)) {
+    if (context.dryRun) {
+      process.stdout.write(
+        `  [DRY RUN] Would run ${name} hook: ${describeHook(entry)}\n`,
+      );
+      continue;
+    }
+    process.stdout.write(`  Running ${name} hook: ${describeHook(entry)}\n`);
+    await runHook(name, entry, context);
+    process.stdout.write(`  [OK] ${name} hook finished\n`);
+  }
+}
+
+async function runReleaseHooks(name, config, context) {
+  try {
+    await runHooks(name, config, context);
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+}
+
+export { createHookContext, listChangedFiles, runHooks, runReleaseHooks };
@@ -0,0 +1,122 @@
+import path from "path";
+import { spawn } from "child_process";
+import { pathToFileURL } from "url";
+import { TurlError, ErrorCodes } from "./errors.js";
+
+const HOOK_NAMES = [
+  "preflight",
+  "afterBump",
+  "afterCleanup",
+  "afterChangelog",
+  "afterBuild",
+  "beforeCommit",
+  "afterPush",
+  "onFailure",
+];
+
+function getHooks(hooks, name) {
+  const entries = hooks && hooks[name];
+  if (!entries) return [];
+  return Array.isArray(entries) ? entries : [entries];
+}
+
+function describeHook(entry) {
+  return typeof entry === "string" ? entry : entry.module;
+}
+
+function buildHookEnv(name, context) {
+  return {
+    TURL_HOOK: name,
+    TURL_PROJECT: context.projectName || "",
+    TURL_PROJECT_ROOT: context.projectRoot || "",
+    TURL_VERSION: context.version || "",
+    TURL_PREVIOUS_VERSION: context.previousVersion || "",
+    TURL_TAG: context.tag || "",
+    TURL_BRANCH: context.branch || "",
+    TURL_CHANGED_FILES: (context.changedFiles || []).join("\n"),
+    TURL_CHANGELOG: context.changelog || "",
+    TURL_ERROR: context.error || "",
+  };
+}
+
+function runCommandHook(name, command, context) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      cwd: context.projectRoot,
+      stdio: "inherit",
+      shell: true,
+      env: { ...process.env, ...buildHookEnv(name, context) },
+    });
+
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(
+          new TurlError(
+            `${name} hook failed with exit code ${code}: ${command}`,
+            ErrorCodes.HOOK_FAILED,
+            { hook: name, command, exitCode: code },
+          ),
+        );
+      }
+    });
+
+    child.on("error", (err) => {
+      reject(
+        new TurlError(
+          `${name} hook could not start: ${err.message}`,
+          ErrorCodes.HOOK_FAILED,
+          { hook: name, command, originalError: err.message },
+        ),
+      );
+    });
+  });
+}
+
+async function runModuleHook(name, modulePath, context) {
+  const fullPath = path.resolve(context.projectRoot, modulePath);
+
+  let mod;
+  try {
+    mod = await import(pathToFileURL(fullPath).href);
+  } catch (err) {
+    throw new TurlError(
+      `${name} hook module ${modulePath} could not be loaded: ${err.message}`,
+      ErrorCodes.HOOK_FAILED,
+      { hook: name, path: fullPath, originalError: err.message },
+    );
+  }
+
+  const handler = typeof mod[name] === "function" ? mod[name] : mod.default;
+  if (typeof handler !== "function") {
+    throw new TurlError(
+      `${name} hook module ${modulePath} does not export a function`,
+      ErrorCodes.HOOK_FAILED,
+      {
+        hook: name,
+        path: fullPath,
+        suggestion: `Export a default function or a function named "${name}"`,
+      },
+    );
+  }
+
+  try {
+    await handler({ ...context, hook: name });
+  } catch (err) {
+    throw new TurlError(
+      `${name} hook ${modulePath} failed: ${err.message}`,
+      ErrorCodes.HOOK_FAILED,
+      { hook: name, path: fullPath, originalError: err.message },
+    );
+  }
+}
+
+function runHook(name, entry, context) {
+  if (typeof entry === "string") {
+    return runCommandHook(name, entry, context);
+  }
+  return runModuleHook(name, entry.module, context);
+}
+
+export { HOOK_NAMES, getHooks, describeHook, runHook };
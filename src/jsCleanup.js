@@ -0,0 +1,270 @@
+import path from "path";
+import { parse } from "@babel/parser";
+
+const STATEMENT_LIST_KEYS = ["body", "consequent"];
+const NO_OP = "void 0";
+const DEFAULT_STRIP = [
+  "console.log",
+  "console.debug",
+  "console.info",
+  "console.table",
+  "debugger",
+  "alert",
+];
+const KEEP_MARKER = /turl-keep(?![\w-])/;
+const KEEP_FILE_MARKER = /turl-keep-file(?![\w-])/;
+const ASI_HAZARD = /[([`+\-/]/;
+
+function getParserPlugins(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".ts") return ["typescript", "decorators-legacy"];
+  if (ext === ".tsx") return ["typescript", "jsx", "decorators-legacy"];
+  return ["jsx", "decorators-legacy"];
+}
+
+function parseSource(content, filePath) {
+  return parse(content, {
+    sourceType: "unambiguous",
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    errorRecovery: false,
+    plugins: getParserPlugins(filePath),
+  });
+}
+
+function walk(node, parent, key, visit) {
+  if (!node || typeof node.type !== "string") return;
+  if (visit(node, parent, key) === false) return;
+
+  for (const childKey of Object.keys(node)) {
+    if (
+      childKey === "loc" ||
+      childKey === "extra" ||
+      childKey.endsWith("Comments")
+    ) {
+      continue;
+    }
+    const child = node[childKey];
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        walk(item, node, childKey, visit);
+      }
+    } else if (child && typeof child.type === "string") {
+      walk(child, node, childKey, visit);
+    }
+  }
+}
+
+function getPropertyName(member) {
+  if (member.computed) {
+    return member.property.type === "StringLiteral"
+      ? member.property.value
+      : null;
+  }
+  return member.property.type === "Identifier" ? member.property.name : null;
+}
+
+function getCallName(node) {
+  if (
+    node.type !== "CallExpression" &&
+    node.type !== "OptionalCallExpression"
+  ) {
+    return null;
+  }
+
+  const callee = node.callee;
+  if (callee.type === "Identifier") {
+    return callee.name;
+  }
+  if (
+    (callee.type === "MemberExpression" ||
+      callee.type === "OptionalMemberExpression") &&
+    callee.object.type === "Identifier"
+  ) {
+    const property = getPropertyName(callee);
+    return property ? `${callee.object.name}.${property}` : null;
+  }
+  return null;
+}
+
+function getStrippedName(node, strip) {
+  if (node.type === "DebuggerStatement") {
+    return strip.includes("debugger") ? "debugger" : null;
+  }
+  const name = getCallName(node);
+  return name && strip.includes(name) ? name : null;
+}
+
+function getKeepLines(content, ast) {
+  const lines = new Set();
+
+  for (const comment of ast.comments || []) {
+    if (!KEEP_MARKER.test(comment.value)) continue;
+
+    const lineStart = content.lastIndexOf("\n", comment.start - 1) + 1;
+    const standalone = !content.slice(lineStart, comment.start).trim();
+    lines.add(comment.loc.start.line);
+    lines.add(standalone ? comment.loc.end.line + 1 : comment.loc.end.line);
+  }
+
+  return lines;
+}
+
+function isSafeExpressionPosition(parent, key) {
+  switch (parent.type) {
+    case "ArrowFunctionExpression":
+      return key === "body";
+    case "LogicalExpression":
+      return key === "right";
+    case "ConditionalExpression":
+      return key === "consequent" || key === "alternate";
+    case "SequenceExpression":
+      return true;
+    default:
+      return false;
+  }
+}
+
+function endsWithBlock(node) {
+  switch (node.type) {
+    case "BlockStatement":
+    case "FunctionDeclaration":
+    case "ClassDeclaration":
+    case "TryStatement":
+    case "SwitchStatement":
+    case "TSInterfaceDeclaration":
+    case "TSEnumDeclaration":
+    case "TSModuleDeclaration":
+      return true;
+    case "IfStatement":
+      return endsWithBlock(node.alternate || node.consequent);
+    case "ForStatement":
+    case "ForInStatement":
+    case "ForOfStatement":
+    case "WhileStatement":
+    case "LabeledStatement":
+      return endsWithBlock(node.body);
+    case "ExportNamedDeclaration":
+    case "ExportDefaultDeclaration":
+      return Boolean(node.declaration) && endsWithBlock(node.declaration);
+    default:
+      return false;
+  }
+}
+
+function needsSemicolon(content, statement, siblings) {
+  const index = siblings.indexOf(statement);
+  const previous = siblings[index - 1];
+  const next = siblings[index + 1];
+
+  return Boolean(
+    previous &&
+    next &&
+    ASI_HAZARD.test(content[next.start]) &&
+    content[previous.end - 1] !== ";" &&
+    !endsWithBlock(previous),
+  );
+}
+
+function getStatementRemoval(content, statement, siblings) {
+  let start = statement.start;
+  let end = statement.end;
+
+  if (needsSemicolon(content, statement, siblings)) {
+    return { start, end, text: ";" };
+  }
+
+  const lineStart = content.lastIndexOf("\n", start - 1) + 1;
+  const before = content.slice(lineStart, start);
+  const lineEnd = content.indexOf("\n", end);
+  const after = content.slice(end, lineEnd === -1 ? content.length : lineEnd);
+
+  if (!before.trim() && !after.trim()) {
+    return {
+      start: lineStart,
+      end: lineEnd === -1 ? content.length : lineEnd + 1,
+      text: "",
+    };
+  }
+
+  while (end < content.length && /[ \t]/.test(content[end])) {
+    end++;
+  }
+  return { start, end, text: "" };
+}
+
+function findEdits(content, ast, strip) {
+  const edits = [];
+  const removed = {};
+  const keepLines = getKeepLines(content, ast);
+  let skipped = 0;
+  let kept = 0;
+
+  const isKept = (node) =>
+    keepLines.has(node.loc.start.line) || keepLines.has(node.loc.end.line);
+
+  walk(ast.program, null, null, (node, parent, key) => {
+    const statementName =
+      node.type === "ExpressionStatement"
+        ? getStrippedName(node.expression, strip)
+        : getStrippedName(node, strip);
+    const isStatement =
+      node.type === "ExpressionStatement" || node.type === "DebuggerStatement";
+
+    if (!statementName) {
+      return true;
+    }
+
+    if (isKept(node)) {
+      kept++;
+      return false;
+    }
+
+    if (isStatement) {
+      if (STATEMENT_LIST_KEYS.includes(key) && Array.isArray(parent[key])) {
+        edits.push(getStatementRemoval(content, node, parent[key]));
+      } else {
+        edits.push({ start: node.start, end: node.end, text: "{}" });
+      }
+    } else if (isSafeExpressionPosition(parent, key)) {
+      edits.push({ start: node.start, end: node.end, text: NO_OP });
+    } else {
+      skipped++;
+      return false;
+    }
+
+    removed[statementName] = (removed[statementName] || 0) + 1;
+    return false;
+  });
+
+  return { edits, removed, skipped, kept };
+}
+
+function applyEdits(content, edits) {
+  let result = content;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+function removeDebugStatements(content, filePath, strip = DEFAULT_STRIP) {
+  const ast = parseSource(content, filePath);
+
+  if ((ast.comments || []).some((c) => KEEP_FILE_MARKER.test(c.value))) {
+    return { content, removed: {}, skipped: 0, kept: 0, keptFile: true };
+  }
+
+  const { edits, removed, skipped, kept } = findEdits(content, ast, strip);
+
+  return {
+    content: edits.length > 0 ? applyEdits(content, edits) : content,
+    removed,
+    skipped,
+    kept,
+    keptFile: false,
+  };
+}
+
+export { DEFAULT_STRIP, parseSource, walk, removeDebugStatements };
@@ -0,0 +1,199 @@
+import readline from "readline";
+import { releaseState } from "./state.js";
+import { ROOT_PROJECT } from "./project.js";
+import { projectPath } from "./git.js";
+
+function printError(err) {
+  releaseState.error = err;
+  process.stdout.write(`\n  ERROR: ${err.message}\n`);
+
+  if (err.code) {
+    process.stdout.write(`  CODE: ${err.code}\n`);
+  }
+
+  if (err.details) {
+    if (err.details.suggestion) {
+      process.stdout.write(`  SUGGESTION: ${err.details.suggestion}\n`);
+    }
+    if (err.details.helpUrl) {
+      process.stdout.write(`  MORE INFO: ${err.details.helpUrl}\n`);
+    }
+  }
+}
+
+function askYesNo(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+function printDiffReport(preparedDiff) {
+  if (preparedDiff.summarized) {
+    process.stdout.write(
+      `  Diff too large (${preparedDiff.originalLength} characters), summarized ${preparedDiff.files.length} files in ${preparedDiff.parts} parts:\n`,
+    );
+    for (const file of preparedDiff.files.slice(0, 20)) {
+      process.stdout.write(`    ${file}\n`);
+    }
+    if (preparedDiff.files.length > 20) {
+      process.stdout.write(
+        `    ... and ${preparedDiff.files.length - 20} more\n`,
+      );
+    }
+  }
+
+  if (preparedDiff.skipped.length > 0) {
+    process.stdout.write(
+      `  Skipped ${preparedDiff.skipped.length} files (short note only):\n`,
+    );
+    for (const entry of preparedDiff.skipped) {
+      process.stdout.write(`    ${entry.file} (${entry.reason})\n`);
+    }
+  }
+}
+
+function printIndented(text, indent = "    ") {
+  for (const line of text.trimEnd().split("\n")) {
+    process.stdout.write(line ? `${indent}${line}\n` : "\n");
+  }
+}
+
+function printCssRemovalWarning(project, files, dryRun) {
+  const total = files.reduce((sum, file) => sum + file.classes.length, 0);
+  process.stdout.write(
+    `  [WARN] ${dryRun ? "Would remove" : "About to remove"} ${total} unused CSS classes:\n`,
+  );
+  for (const file of files) {
+    process.stdout.write(
+      `    ${projectPath(project, file.path)}: ${file.classes.map((name) => `.${name}`).join(", ")}\n`,
+    );
+  }
+  process.stdout.write(
+    "  TIP: Add classes built at runtime to cleanup.safelist in turl.json\n",
+  );
+}
+
+function stepLabel(step) {
+  return releaseState.command === "release" ? `[${step}/14] ` : "";
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function printUnusedAssets(project, config, assets, dryRun) {
+  const deleting = config.cleanup.unusedAssets === "delete";
+  const total = formatSize(assets.reduce((sum, asset) => sum + asset.size, 0));
+
+  if (assets.length === 0) {
+    process.stdout.write("  No unused assets found\n");
+    return;
+  }
+
+  if (deleting) {
+    process.stdout.write(
+      `  ${dryRun ? "Would delete" : "Deleted"} ${assets.length} unused assets (${total})\n`,
+    );
+  } else {
+    process.stdout.write(
+      `  [WARN] Found ${assets.length} unused assets (${total}):\n`,
+    );
+  }
+  for (const asset of assets.slice(0, 10)) {
+    process.stdout.write(
+      `    ${projectPath(project, asset.path)} (${formatSize(asset.size)})\n`,
+    );
+  }
+  if (assets.length > 10) {
+    process.stdout.write(`    ... and ${assets.length - 10} more\n`);
+  }
+  if (!deleting) {
+    process.stdout.write(
+      '  TIP: Set cleanup.unusedAssets to "delete" in turl.json to remove them, or list files to keep in cleanup.keepAssets\n',
+    );
+  }
+}
+
+function printDeadCode(project, deadCode) {
+  if (deadCode.entries.length === 0) {
+    process.stdout.write(
+      "  [SKIP] Dead code: no entry point found (index.html, vite.config or src/index.*)\n",
+    );
+    return;
+  }
+
+  const { modules, exports } = deadCode;
+  if (modules.length + exports.length === 0) {
+    process.stdout.write(
+      `  [OK] No dead code reachable from ${deadCode.entries.join(", ")}\n`,
+    );
+    return;
+  }
+
+  process.stdout.write(
+    `  [WARN] Dead code from ${deadCode.entries.join(", ")}: ${modules.length} unreachable files, ${exports.length} unused exports\n`,
+  );
+  for (const file of modules.slice(0, 10)) {
+    process.stdout.write(`    ${projectPath(project, file)}\n`);
+  }
+  if (modules.length > 10) {
+    process.stdout.write(`    ... and ${modules.length - 10} more files\n`);
+  }
+  for (const { path: file, name } of exports.slice(0, 10)) {
+    process.stdout.write(`    ${projectPath(project, file)}: export ${name}\n`);
+  }
+  if (exports.length > 10) {
+    process.stdout.write(`    ... and ${exports.length - 10} more exports\n`);
+  }
+}
+
+function printStep(step, title, project = ROOT_PROJECT) {
+  const suffix = project.workspace ? ` (${project.name})` : "";
+  process.stdout.write(`\n${stepLabel(step)}${title}${suffix}...\n`);
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatSizeChange(bytes) {
+  return `${bytes < 0 ? "-" : "+"}${formatSize(Math.abs(bytes))}`;
+}
+
+function printSummary(message, details = []) {
+  process.stdout.write("\n========================================\n");
+  process.stdout.write(`  ${message}\n`);
+  for (const line of details) {
+    process.stdout.write(`  ${line}\n`);
+  }
+  process.stdout.write("========================================\n\n");
+}
+
+export {
+  printError,
+  askYesNo,
+  printDiffReport,
+  printIndented,
+  printCssRemovalWarning,
+  stepLabel,
+  formatSize,
+  printUnusedAssets,
+  printDeadCode,
+  printStep,
+  formatDuration,
+  formatSizeChange,
+  printSummary,
+};
@@ -0,0 +1,347 @@
+import fs from "fs";
+import path from "path";
+import { TurlError, ErrorCodes } from "./errors.js";
+import { resolveAiConfig, validateApiKey } from "./providers.js";
+import { createSnapshot } from "./snapshot.js";
+import { findWorkspacePackages, selectPackages } from "./workspaces.js";
+import {
+  getVersionTargets,
+  readVersionFiles,
+  findVersionMismatches,
+} from "./versionFiles.js";
+import { parseVersion, isPrerelease } from "./version.js";
+import { releaseState } from "./state.js";
+import {
+  PROJECT_ROOT,
+  ROOT_PROJECT,
+  checkNodeModules,
+  readTurlConfig,
+} from "./project.js";
+import {
+  checkGitInstalled,
+  checkGitRepository,
+  checkGitRemote,
+  checkRemoteExists,
+  projectPath,
+  hasChanges,
+  getLastReleaseRef,
+  getCommitsSince,
+} from "./git.js";
+import { printError, stepLabel } from "./output.js";
+import { exitWithRollback } from "./rollback.js";
+
+function checkVersionSync(projects) {
+  let mismatched = 0;
+
+  for (const project of projects) {
+    if (!fs.existsSync(path.join(project.root, "public", "turl.json"))) {
+      continue;
+    }
+
+    let config;
+    let files;
+    try {
+      config = readTurlConfig(project, { dryRun: true });
+      files = readVersionFiles(
+        getVersionTargets(PROJECT_ROOT, project, config.versionFiles),
+      );
+    } catch {
+      continue;
+    }
+
+    for (const file of findVersionMismatches(files, config.version)) {
+      mismatched++;
+      process.stdout.write(
+        `  [WARN] ${file.file} has version ${file.version}, but ${projectPath(project, "public/turl.json")} has ${config.version}\n`,
+      );
+    }
+    for (const file of files.filter((f) => f.required && !f.exists)) {
+      mismatched++;
+      process.stdout.write(
+        `  [WARN] ${file.file} is listed in versionFiles but does not exist\n`,
+      );
+    }
+  }
+
+  if (mismatched > 0) {
+    process.stdout.write(
+      "  These files will be set to the new version in step 9\n",
+    );
+  } else {
+    process.stdout.write("  [OK] Version files in sync\n");
+  }
+}
+
+async function loadProject(project, command, cliOptions) {
+  const dryRun = cliOptions.dryRun;
+  const configPath = projectPath(project, "public/turl.json");
+  let config;
+
+  try {
+    const turlExists = fs.existsSync(
+      path.join(project.root, "public", "turl.json"),
+    );
+    config = readTurlConfig(project, { dryRun });
+    if (dryRun && !turlExists) {
+      process.stdout.write(
+        `  [DRY RUN] Would create ${configPath} with defaults\n`,
+      );
+    }
+    parseVersion(config.version);
+    process.stdout.write(`  Project: ${config.projectName}\n`);
+    process.stdout.write(`  Current version: ${config.version}\n`);
+    if (!project.workspace) {
+      process.stdout.write(`  Branch: ${cliOptions.branch || config.branch}\n`);
+    }
+    if (command.remote && config.push) {
+      checkRemoteExists(config.remote);
+    } else if (command.remote) {
+      process.stdout.write("  Push: disabled in turl.json\n");
+    }
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+
+  if (!command.ai) {
+    return { project, config, ai: null };
+  }
+
+  let ai = null;
+  if (cliOptions.noAi || config.ai === false) {
+    process.stdout.write(
+      "  AI provider: disabled (notes are built from git history)\n",
+    );
+  } else {
+    try {
+      ai = resolveAiConfig(config.ai);
+      process.stdout.write(`  AI provider: ${ai.provider} (${ai.model})\n`);
+      validateApiKey(ai);
+      if (ai.apiKey) {
+        process.stdout.write("  [OK] API key loaded and validated\n");
+      }
+    } catch (err) {
+      printError(err);
+      await exitWithRollback(1);
+    }
+  }
+
+  return { project, config, ai };
+}
+
+function getPackageChanges(project, config, cliOptions) {
+  if (cliOptions.promote) {
+    return {
+      changed: isPrerelease(config.version),
+      reason: isPrerelease(config.version)
+        ? `pre-release ${config.version} to promote`
+        : "not a pre-release",
+    };
+  }
+
+  const ref = getLastReleaseRef(config.tagFormat, project);
+  if (!ref) {
+    return { changed: true, reason: "first release" };
+  }
+
+  const commits = getCommitsSince(ref, project, true);
+  const dirty = hasChanges(project);
+  const since = ref.length === 40 ? ref.substring(0, 7) : ref;
+  const reasons = [];
+  if (commits.length > 0) {
+    reasons.push(
+      `${commits.length} commit${commits.length === 1 ? "" : "s"} since ${since}`,
+    );
+  }
+  if (dirty) {
+    reasons.push("uncommitted changes");
+  }
+
+  return {
+    changed: reasons.length > 0,
+    reason:
+      reasons.length > 0 ? reasons.join(", ") : `no changes since ${since}`,
+  };
+}
+
+function checkUniqueTagFormats(loaded) {
+  const seen = new Map();
+
+  for (const { project, config } of loaded) {
+    const other = seen.get(config.tagFormat);
+    if (other) {
+      throw new TurlError(
+        `Workspace packages ${other} and ${project.name} use the same tagFormat "${config.tagFormat}"`,
+        ErrorCodes.VERSION_JSON_INVALID,
+        {
+          path: projectPath(project, "public/turl.json"),
+          suggestion: `Give each package its own tagFormat, e.g. "${config.projectName}@{version}"`,
+        },
+      );
+    }
+    seen.set(config.tagFormat, project.name);
+  }
+}
+
+function resolveWorkspaceBranch(releases, cliOptions) {
+  if (cliOptions.branch) {
+    return cliOptions.branch;
+  }
+
+  const branches = [...new Set(releases.map((r) => r.config.branch))];
+  if (branches.length > 1) {
+    throw new TurlError(
+      `Workspace packages push to different branches: ${branches.join(", ")}`,
+      ErrorCodes.INVALID_ARGUMENTS,
+      { suggestion: "Pick one with --branch <name>" },
+    );
+  }
+
+  return branches[0];
+}
+
+function resolveWorkspaceSetting(releases, key, description) {
+  const values = [...new Set(releases.map((r) => r.config[key]))];
+  if (values.length > 1) {
+    throw new TurlError(
+      `Workspace packages ${description}: ${values.join(", ")}`,
+      ErrorCodes.CONFIG_INVALID,
+      { suggestion: `Set the same "${key}" in every package's turl.json` },
+    );
+  }
+
+  return values[0];
+}
+
+async function runPreflight(command, cliOptions) {
+  const dryRun = cliOptions.dryRun;
+
+  process.stdout.write(`${stepLabel(0)}Pre-flight checks...\n`);
+
+  try {
+    checkGitInstalled();
+    process.stdout.write("  [OK] Git is installed\n");
+  } catch (err) {
+    printError(err);
+    process.exit(1);
+  }
+
+  try {
+    checkGitRepository();
+    process.stdout.write("  [OK] Git repository initialized\n");
+  } catch (err) {
+    printError(err);
+    process.exit(1);
+  }
+
+  if (command.remote) {
+    try {
+      checkGitRemote();
+      process.stdout.write("  [OK] Git remote configured\n");
+    } catch (err) {
+      printError(err);
+      process.exit(1);
+    }
+  }
+
+  const nodeModulesCheck = checkNodeModules();
+  if (!nodeModulesCheck.exists) {
+    process.stdout.write(`  [WARN] ${nodeModulesCheck.warning}\n`);
+  } else {
+    process.stdout.write("  [OK] node_modules found\n");
+  }
+
+  let projects = [ROOT_PROJECT];
+  try {
+    const workspacePackages = findWorkspacePackages(PROJECT_ROOT);
+    if (workspacePackages) {
+      if (workspacePackages.length === 0) {
+        throw new TurlError(
+          "No workspace packages found",
+          ErrorCodes.PACKAGE_JSON_INVALID,
+          {
+            suggestion:
+              "Check the workspaces patterns in package.json or pnpm-workspace.yaml",
+          },
+        );
+      }
+      projects = selectPackages(workspacePackages, cliOptions.packages);
+      process.stdout.write(
+        `  [OK] Workspace with ${workspacePackages.length} packages\n`,
+      );
+    } else if (cliOptions.packages.length > 0) {
+      throw new TurlError(
+        "--package can only be used in an npm, yarn or pnpm workspace",
+        ErrorCodes.INVALID_ARGUMENTS,
+      );
+    }
+  } catch (err) {
+    printError(err);
+    process.exit(1);
+  }
+
+  if (cliOptions.command === "release") {
+    checkVersionSync(projects);
+  }
+
+  if (command.snapshot && !dryRun) {
+    try {
+      releaseState.snapshot = createSnapshot(PROJECT_ROOT);
+      process.stdout.write(
+        `  [OK] Snapshot taken (${releaseState.snapshot.files.size} uncommitted files)\n`,
+      );
+    } catch (err) {
+      printError(err);
+      process.exit(1);
+    }
+    process.on("SIGINT", () => {
+      process.stdout.write("\n  Interrupted, rolling back...\n");
+      exitWithRollback(130);
+    });
+  }
+
+  return projects;
+}
+
+async function selectCandidates(loaded, cliOptions) {
+  if (!loaded[0].project.workspace) {
+    return loaded;
+  }
+
+  try {
+    checkUniqueTagFormats(loaded);
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+
+  process.stdout.write("\n  Changes since the last release:\n");
+  const candidates = loaded.filter(({ project, config }) => {
+    const changes = getPackageChanges(project, config, cliOptions);
+    process.stdout.write(
+      `  ${changes.changed ? "[CHANGED]" : "[SKIP]"} ${project.name}: ${changes.reason}\n`,
+    );
+    return changes.changed;
+  });
+
+  if (cliOptions.version && candidates.length > 1) {
+    printError(
+      new TurlError(
+        "--version can only be used when releasing a single package",
+        ErrorCodes.INVALID_ARGUMENTS,
+        { suggestion: "Select the package with --package <name>" },
+      ),
+    );
+    await exitWithRollback(1);
+  }
+
+  return candidates;
+}
+
+export {
+  loadProject,
+  resolveWorkspaceBranch,
+  resolveWorkspaceSetting,
+  runPreflight,
+  selectCandidates,
+};
@@ -0,0 +1,282 @@
+import fs from "fs";
+import path from "path";
+import { execSync, spawn } from "child_process";
+import { TurlError, ErrorCodes } from "./errors.js";
+import { validateConfig, resolveConfig } from "./config.js";
+
+const PROJECT_ROOT = process.cwd();
+
+const ROOT_PROJECT = {
+  name: null,
+  dir: "",
+  root: PROJECT_ROOT,
+  workspace: false,
+};
+
+function checkNodeModules() {
+  const nodeModulesPath = path.join(PROJECT_ROOT, "node_modules");
+  if (!fs.existsSync(nodeModulesPath)) {
+    return {
+      exists: false,
+      warning:
+        "node_modules not found. Run 'npm install' first if you need dependencies.",
+    };
+  }
+  return { exists: true };
+}
+
+function checkPrettierInstalled(root = PROJECT_ROOT) {
+  const nodeModulesPath = path.join(root, "node_modules");
+  const prettierPath = path.join(nodeModulesPath, "prettier");
+  const globalCheck = () => {
+    try {
+      execSync("npx prettier --version", { cwd: root, stdio: "pipe" });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  if (fs.existsSync(prettierPath)) {
+    return { installed: true, location: "local" };
+  }
+
+  if (globalCheck()) {
+    return { installed: true, location: "global" };
+  }
+
+  return {
+    installed: false,
+    warning:
+      "Prettier not installed. Install with 'npm install --save-dev prettier' for code formatting.",
+  };
+}
+
+function safeReadFile(filePath, description = "file") {
+  try {
+    return fs.readFileSync(filePath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new TurlError(
+        `${description} not found: ${filePath}`,
+        ErrorCodes.FILE_READ_ERROR,
+        { path: filePath },
+      );
+    }
+    if (err.code === "EACCES") {
+      throw new TurlError(
+        `Permission denied reading ${description}: ${filePath}`,
+        ErrorCodes.FILE_PERMISSION_DENIED,
+        { path: filePath },
+      );
+    }
+    throw new TurlError(
+      `Failed to read ${description}: ${err.message}`,
+      ErrorCodes.FILE_READ_ERROR,
+      { path: filePath, originalError: err.message },
+    );
+  }
+}
+
+function safeWriteFile(filePath, content, description = "file") {
+  try {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(filePath, content, "utf-8");
+  } catch (err) {
+    if (err.code === "EACCES") {
+      throw new TurlError(
+        `Permission denied writing ${description}: ${filePath}`,
+        ErrorCodes.FILE_PERMISSION_DENIED,
+        { path: filePath },
+      );
+    }
+    if (err.code === "ENOSPC") {
+      throw new TurlError(
+        `No disk space left to write ${description}: ${filePath}`,
+        ErrorCodes.FILE_WRITE_ERROR,
+        { path: filePath },
+      );
+    }
+    if (err.code === "EROFS") {
+      throw new TurlError(
+        `Read-only file system, cannot write ${description}: ${filePath}`,
+        ErrorCodes.FILE_WRITE_ERROR,
+        { path: filePath },
+      );
+    }
+    throw new TurlError(
+      `Failed to write ${description}: ${err.message}`,
+      ErrorCodes.FILE_WRITE_ERROR,
+      { path: filePath, originalError: err.message },
+    );
+  }
+}
+
+function safeParseJson(content, filePath, description = "JSON file") {
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    throw new TurlError(
+      `Invalid JSON in ${description}: ${err.message}`,
+      ErrorCodes.VERSION_JSON_INVALID,
+      { path: filePath, originalError: err.message },
+    );
+  }
+}
+
+function loadEnvFromPath(envPath) {
+  if (!fs.existsSync(envPath)) {
+    return false;
+  }
+
+  const envContent = fs.readFileSync(envPath, "utf-8");
+  const lines = envContent.split("\n");
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (trimmed && !trimmed.startsWith("#")) {
+      const equalsIndex = trimmed.indexOf("=");
+      if (equalsIndex !== -1) {
+        const key = trimmed.substring(0, equalsIndex).trim();
+        let value = trimmed.substring(equalsIndex + 1).trim();
+        if (
+          (value.startsWith('"') && value.endsWith('"')) ||
+          (value.startsWith("'") && value.endsWith("'"))
+        ) {
+          value = value.slice(1, -1);
+        }
+        if (key) {
+          process.env[key] = value;
+        }
+      }
+    }
+  }
+
+  return true;
+}
+
+function loadEnv() {
+  const projectEnvPath = path.join(PROJECT_ROOT, ".env");
+  const projectEnvLoaded = loadEnvFromPath(projectEnvPath);
+
+  return projectEnvLoaded ? "project" : null;
+}
+
+function readTurlConfig(project, options = {}) {
+  const turlPath = path.join(project.root, "public", "turl.json");
+  const projectName = project.name || path.basename(project.root);
+
+  const defaultConfig = {
+    version: "1.0.0",
+    projectName,
+    branch: "main",
+    tagFormat: project.workspace ? `${projectName}@{version}` : "v{version}",
+  };
+
+  if (!fs.existsSync(turlPath)) {
+    if (!options.dryRun) {
+      const publicDir = path.join(project.root, "public");
+      if (!fs.existsSync(publicDir)) {
+        fs.mkdirSync(publicDir, { recursive: true });
+      }
+      safeWriteFile(
+        turlPath,
+        JSON.stringify(defaultConfig, null, 2),
+        "turl.json",
+      );
+    }
+    return resolveConfig({ ...defaultConfig }, defaultConfig);
+  }
+
+  const content = safeReadFile(turlPath, "turl.json");
+  const parsed = safeParseJson(content, turlPath, "turl.json");
+  validateConfig(parsed, turlPath);
+
+  return resolveConfig(parsed, defaultConfig);
+}
+
+function writeTurlConfig(project, config) {
+  const turlPath = path.join(project.root, "public", "turl.json");
+  safeWriteFile(turlPath, JSON.stringify(config, null, 2) + "\n", "turl.json");
+}
+
+function detectFormatCommand(root = PROJECT_ROOT) {
+  const packageJsonPath = path.join(root, "package.json");
+
+  if (!fs.existsSync(packageJsonPath)) {
+    return { command: null, warning: "No package.json found" };
+  }
+
+  const content = safeReadFile(packageJsonPath, "package.json");
+  const packageJson = safeParseJson(content, packageJsonPath, "package.json");
+  const scripts = packageJson.scripts || {};
+
+  if (scripts.format) {
+    return { command: "npm run format", type: "script" };
+  }
+
+  const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const prettierCheck = checkPrettierInstalled(root);
+
+  if (deps.prettier || prettierCheck.installed) {
+    return { command: "npx prettier --write .", type: "prettier" };
+  }
+
+  return {
+    command: null,
+    warning: prettierCheck.warning || "No formatter configured",
+    suggestion:
+      "Add prettier as dev dependency or add a 'format' script to package.json",
+  };
+}
+
+function runCommand(command, root, label, errorCode, env = {}) {
+  return new Promise((resolve, reject) => {
+    const [cmd, ...args] = command.split(" ");
+    const child = spawn(cmd, args, {
+      cwd: root,
+      stdio: "inherit",
+      shell: true,
+      env: { ...process.env, ...env },
+    });
+
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(
+          new TurlError(`${label} failed with exit code ${code}`, errorCode, {
+            command,
+            exitCode: code,
+          }),
+        );
+      }
+    });
+
+    child.on("error", (err) => {
+      reject(
+        new TurlError(`${label} process error: ${err.message}`, errorCode, {
+          command,
+          originalError: err.message,
+        }),
+      );
+    });
+  });
+}
+
+export {
+  PROJECT_ROOT,
+  ROOT_PROJECT,
+  checkNodeModules,
+  safeReadFile,
+  safeWriteFile,
+  safeParseJson,
+  loadEnv,
+  readTurlConfig,
+  writeTurlConfig,
+  detectFormatCommand,
+  runCommand,
+};
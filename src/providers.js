@@ -0,0 +1,406 @@
+import { TurlError, ErrorCodes } from "./errors.js";
+
+const SYSTEM_PROMPT =
+  "You are a precise technical assistant that generates changelog entries and commit messages. You ONLY describe changes that are explicitly visible in the provided diff. Never invent or assume changes. Be specific and accurate.";
+
+const MAX_TOKENS = 1000;
+
+function buildOpenAiRequest(ai, prompt) {
+  const headers = { "Content-Type": "application/json" };
+  if (ai.apiKey) {
+    headers.Authorization = `Bearer ${ai.apiKey}`;
+  }
+
+  return {
+    url: `${ai.baseUrl}/chat/completions`,
+    headers,
+    body: {
+      model: ai.model,
+      messages: [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: prompt },
+      ],
+      temperature: ai.temperature,
+      max_tokens: MAX_TOKENS,
+    },
+  };
+}
+
+function parseOpenAiResponse(data) {
+  if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+    return null;
+  }
+  return data.choices[0].message.content || "";
+}
+
+function buildAnthropicRequest(ai, prompt) {
+  return {
+    url: `${ai.baseUrl}/messages`,
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": ai.apiKey,
+      "anthropic-version": "2023-06-01",
+    },
+    body: {
+      model: ai.model,
+      system: SYSTEM_PROMPT,
+      messages: [{ role: "user", content: prompt }],
+      temperature: ai.temperature,
+      max_tokens: MAX_TOKENS,
+    },
+  };
+}
+
+function parseAnthropicResponse(data) {
+  if (!Array.isArray(data.content)) {
+    return null;
+  }
+  return data.content
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("");
+}
+
+function buildOllamaRequest(ai, prompt) {
+  return {
+    url: `${ai.baseUrl}/api/chat`,
+    headers: { "Content-Type": "application/json" },
+    body: {
+      model: ai.model,
+      messages: [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: prompt },
+      ],
+      stream: false,
+      options: { temperature: ai.temperature },
+    },
+  };
+}
+
+function parseOllamaResponse(data) {
+  if (!data.message) {
+    return null;
+  }
+  return data.message.content || "";
+}
+
+const PROVIDERS = {
+  grok: {
+    label: "Grok API",
+    baseUrl: "https://api.x.ai/v1",
+    model: "grok-3-latest",
+    apiKeyEnv: ["GROK_API_KEY", "REACT_APP_GROK_API_KEY"],
+    requiresKey: true,
+    keyPrefixes: ["xai-", "sk-"],
+    helpUrl: "https://console.x.ai",
+    buildRequest: buildOpenAiRequest,
+    parseResponse: parseOpenAiResponse,
+  },
+  openai: {
+    label: "OpenAI API",
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+    apiKeyEnv: ["OPENAI_API_KEY"],
+    requiresKey: true,
+    keyPrefixes: ["sk-"],
+    helpUrl: "https://platform.openai.com/api-keys",
+    buildRequest: buildOpenAiRequest,
+    parseResponse: parseOpenAiResponse,
+  },
+  "openai-compatible": {
+    label: "OpenAI-compatible API",
+    baseUrl: null,
+    model: null,
+    apiKeyEnv: ["AI_API_KEY"],
+    requiresKey: false,
+    keyPrefixes: [],
+    helpUrl: null,
+    buildRequest: buildOpenAiRequest,
+    parseResponse: parseOpenAiResponse,
+  },
+  anthropic: {
+    label: "Anthropic API",
+    baseUrl: "https://api.anthropic.com/v1",
+    model: "claude-3-5-haiku-latest",
+    apiKeyEnv: ["ANTHROPIC_API_KEY"],
+    requiresKey: true,
+    keyPrefixes: ["sk-ant-"],
+    helpUrl: "https://console.anthropic.com",
+    buildRequest: buildAnthropicRequest,
+    parseResponse: parseAnthropicResponse,
+  },
+  ollama: {
+    label: "Ollama",
+    baseUrl: "http://localhost:11434",
+    model: "llama3.1",
+    apiKeyEnv: [],
+    requiresKey: false,
+    keyPrefixes: [],
+    helpUrl: null,
+    buildRequest: buildOllamaRequest,
+    parseResponse: parseOllamaResponse,
+  },
+};
+
+const DEFAULT_PROVIDER = "grok";
+const DEFAULT_TEMPERATURE = 0.3;
+
+function invalidConfig(message, field, suggestion) {
+  return new TurlError(message, ErrorCodes.AI_CONFIG_INVALID, {
+    field: `ai.${field}`,
+    suggestion,
+  });
+}
+
+function resolveAiConfig(aiConfig = {}) {
+  if (!aiConfig || typeof aiConfig !== "object" || Array.isArray(aiConfig)) {
+    throw new TurlError(
+      'The "ai" section of turl.json must be an object',
+      ErrorCodes.AI_CONFIG_INVALID,
+      { field: "ai", suggestion: 'Use e.g. { "provider": "grok" }' },
+    );
+  }
+
+  const providerName = aiConfig.provider || DEFAULT_PROVIDER;
+  const provider = PROVIDERS[providerName];
+
+  if (!provider) {
+    throw invalidConfig(
+      `Unknown AI provider "${providerName}"`,
+      "provider",
+      `Use one of: ${Object.keys(PROVIDERS).join(", ")}`,
+    );
+  }
+
+  const baseUrl = (aiConfig.baseUrl || provider.baseUrl || "").replace(
+    /\/+$/,
+    "",
+  );
+  if (!baseUrl) {
+    throw invalidConfig(
+      `AI provider "${providerName}" requires a baseUrl`,
+      "baseUrl",
+      'Set "baseUrl" in the "ai" section of turl.json, e.g. "http://localhost:8080/v1"',
+    );
+  }
+
+  const model = aiConfig.model || provider.model;
+  if (!model) {
+    throw invalidConfig(
+      `AI provider "${providerName}" requires a model`,
+      "model",
+      'Set "model" in the "ai" section of turl.json',
+    );
+  }
+
+  const temperature =
+    aiConfig.temperature === undefined
+      ? DEFAULT_TEMPERATURE
+      : aiConfig.temperature;
+  if (typeof temperature !== "number" || temperature < 0 || temperature > 2) {
+    throw invalidConfig(
+      "AI temperature must be a number between 0 and 2",
+      "temperature",
+      `Use a value such as ${DEFAULT_TEMPERATURE}`,
+    );
+  }
+
+  const apiKeyEnv = aiConfig.apiKeyEnv
+    ? [aiConfig.apiKeyEnv]
+    : provider.apiKeyEnv;
+
+  return {
+    provider: providerName,
+    label: provider.label,
+    baseUrl,
+    model,
+    temperature,
+    apiKeyEnv,
+    apiKey: apiKeyEnv.map((name) => process.env[name]).find(Boolean) || null,
+  };
+}
+
+function validateApiKey(ai) {
+  const provider = PROVIDERS[ai.provider];
+  const envName = ai.apiKeyEnv[0];
+  const helpUrl = provider.helpUrl;
+
+  if (!ai.apiKey) {
+    if (!provider.requiresKey) {
+      return true;
+    }
+    throw new TurlError(
+      `${envName} not found. Add ${envName}=your-key to your project's .env file`,
+      ErrorCodes.API_KEY_MISSING,
+      {
+        suggestion: `Create a .env file in your project root with: ${envName}=your-key-here`,
+        helpUrl,
+      },
+    );
+  }
+
+  if (
+    provider.keyPrefixes.length > 0 &&
+    !provider.keyPrefixes.some((prefix) => ai.apiKey.startsWith(prefix))
+  ) {
+    throw new TurlError(
+      `Invalid API key format. Key should start with ${provider.keyPrefixes
+        .map((prefix) => `'${prefix}'`)
+        .join(" or ")}`,
+      ErrorCodes.API_KEY_INVALID,
+      {
+        suggestion: helpUrl
+          ? `Check your API key at ${helpUrl}`
+          : `Check the value of ${envName}`,
+        keyPrefix: ai.apiKey.substring(0, 4) + "...",
+      },
+    );
+  }
+
+  if (provider.requiresKey && ai.apiKey.length < 20) {
+    throw new TurlError(
+      "API key appears to be too short",
+      ErrorCodes.API_KEY_INVALID,
+      {
+        suggestion: helpUrl
+          ? `Verify your API key at ${helpUrl}`
+          : `Check the value of ${envName}`,
+      },
+    );
+  }
+
+  return true;
+}
+
+async function complete(ai, prompt) {
+  const provider = PROVIDERS[ai.provider];
+  const request = provider.buildRequest(ai, prompt);
+  let response;
+
+  try {
+    response = await fetch(request.url, {
+      method: "POST",
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+    });
+  } catch (err) {
+    const code = err.code || (err.cause && err.cause.code);
+    const originalError = err.cause ? err.cause.message : err.message;
+
+    if (code === "ENOTFOUND" || code === "EAI_AGAIN") {
+      throw new TurlError(
+        `Network error: Unable to reach ${ai.label}. Check your internet connection.`,
+        ErrorCodes.API_NETWORK_ERROR,
+        { url: request.url, originalError },
+      );
+    }
+    if (code === "ETIMEDOUT" || code === "ESOCKETTIMEDOUT") {
+      throw new TurlError(
+        `Network timeout: ${ai.label} request timed out. Try again later.`,
+        ErrorCodes.API_NETWORK_ERROR,
+        { url: request.url, originalError },
+      );
+    }
+    if (code === "ECONNREFUSED") {
+      throw new TurlError(
+        `Connection refused: Unable to connect to ${ai.label} at ${ai.baseUrl}.`,
+        ErrorCodes.API_NETWORK_ERROR,
+        {
+          url: request.url,
+          suggestion: "Check that the server is running and baseUrl is correct",
+          originalError,
+        },
+      );
+    }
+    throw new TurlError(
+      `Network error calling ${ai.label}: ${err.message}`,
+      ErrorCodes.API_NETWORK_ERROR,
+      { url: request.url, originalError },
+    );
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let errorData;
+    try {
+      errorData = JSON.parse(errorText);
+    } catch {
+      errorData = { error: errorText };
+    }
+
+    if (
+      response.status === 401 ||
+      response.status === 403 ||
+      (response.status === 400 &&
+        (errorText.includes("invalid argument") ||
+          errorText.includes("Invalid API key") ||
+          errorText.includes("Incorrect API key")))
+    ) {
+      throw new TurlError(
+        `Invalid API key. Please check your ${ai.apiKeyEnv[0] || "API key"} in .env file.`,
+        ErrorCodes.API_KEY_INVALID,
+        {
+          status: response.status,
+          suggestion: provider.helpUrl
+            ? `Get a valid API key from ${provider.helpUrl}`
+            : "Check the API key expected by your server",
+          response: errorData,
+        },
+      );
+    }
+
+    if (response.status === 429) {
+      throw new TurlError(
+        `Rate limited by ${ai.label}. Please wait and try again.`,
+        ErrorCodes.API_RATE_LIMITED,
+        {
+          status: response.status,
+          suggestion: "Wait a few minutes before trying again",
+          response: errorData,
+        },
+      );
+    }
+
+    if (response.status >= 500) {
+      throw new TurlError(
+        `${ai.label} server error. The service may be temporarily unavailable.`,
+        ErrorCodes.API_SERVER_ERROR,
+        {
+          status: response.status,
+          suggestion: "Try again in a few minutes",
+          response: errorData,
+        },
+      );
+    }
+
+    throw new TurlError(
+      `${ai.label} error: ${response.status} - ${errorText}`,
+      ErrorCodes.API_SERVER_ERROR,
+      { status: response.status, response: errorData },
+    );
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (err) {
+    throw new TurlError(
+      `Invalid JSON response from ${ai.label}`,
+      ErrorCodes.API_RESPONSE_INVALID,
+      { originalError: err.message },
+    );
+  }
+
+  const content = data ? provider.parseResponse(data) : null;
+  if (content === null) {
+    throw new TurlError(
+      `Unexpected response format from ${ai.label}`,
+      ErrorCodes.API_RESPONSE_INVALID,
+      { response: data },
+    );
+  }
+
+  return content;
+}
+
+export { PROVIDERS, resolveAiConfig, validateApiKey, complete };
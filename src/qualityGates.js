@@ -0,0 +1,107 @@
+import fs from "fs";
+import path from "path";
+import { TurlError, ErrorCodes } from "./errors.js";
+import {
+  PROJECT_ROOT,
+  safeReadFile,
+  safeParseJson,
+  runCommand,
+} from "./project.js";
+import { printError, printStep, formatDuration } from "./output.js";
+import { exitWithRollback } from "./rollback.js";
+
+const QUALITY_GATES = [
+  {
+    name: "lint",
+    label: "Lint",
+    scripts: ["lint"],
+    errorCode: ErrorCodes.LINT_FAILED,
+  },
+  {
+    name: "typecheck",
+    label: "Type check",
+    scripts: ["typecheck", "type-check"],
+    errorCode: ErrorCodes.TYPECHECK_FAILED,
+  },
+  {
+    name: "test",
+    label: "Tests",
+    scripts: ["test"],
+    errorCode: ErrorCodes.TESTS_FAILED,
+  },
+];
+
+function detectGateCommand(gate, root = PROJECT_ROOT) {
+  const packageJsonPath = path.join(root, "package.json");
+
+  if (!fs.existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  const content = safeReadFile(packageJsonPath, "package.json");
+  const packageJson = safeParseJson(content, packageJsonPath, "package.json");
+  const scripts = packageJson.scripts || {};
+  const script = gate.scripts.find((name) => scripts[name]);
+
+  if (!script || /no test specified/.test(scripts[script])) {
+    return null;
+  }
+
+  return script === "test" ? "npm test" : `npm run ${script}`;
+}
+
+function runGate(gate, command, root = PROJECT_ROOT) {
+  return runCommand(command, root, gate.label, gate.errorCode, { CI: "true" });
+}
+
+async function runQualityGates(candidates, dryRun) {
+  for (const { project, config } of candidates) {
+    printStep(4, "Running quality gates", project);
+
+    for (const gate of QUALITY_GATES) {
+      const configured = config.commands[gate.name];
+      const command =
+        configured === null
+          ? detectGateCommand(gate, project.root)
+          : configured;
+
+      if (command === false) {
+        process.stdout.write(`  [SKIP] ${gate.label} disabled in turl.json\n`);
+        continue;
+      }
+      if (!command) {
+        process.stdout.write(
+          `  [SKIP] No ${gate.scripts[0]} script in package.json\n`,
+        );
+        continue;
+      }
+      if (dryRun) {
+        process.stdout.write(`  [DRY RUN] Would run: ${command}\n`);
+        continue;
+      }
+
+      process.stdout.write(`  Running ${gate.name}: ${command}\n`);
+      const startedAt = Date.now();
+      try {
+        await runGate(gate, command, project.root);
+      } catch (err) {
+        printError(
+          new TurlError(
+            `${err.message} (${formatDuration(Date.now() - startedAt)})`,
+            err.code,
+            {
+              ...err.details,
+              suggestion: `Fix the problems, or set commands.${gate.name} to false in turl.json to skip this check`,
+            },
+          ),
+        );
+        await exitWithRollback(1);
+      }
+      process.stdout.write(
+        `  [OK] ${gate.label} passed (${formatDuration(Date.now() - startedAt)})\n`,
+      );
+    }
+  }
+}
+
+export { runQualityGates };
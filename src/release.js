@@ -0,0 +1,926 @@
+import { run as runCleanup } from "./cleanup.js";
+import { TurlError, ErrorCodes } from "./errors.js";
+import { prepareDiff } from "./diff.js";
+import { openPullRequest } from "./forge.js";
+import {
+  getVersionTargets,
+  readVersionFiles,
+  writeVersionFiles,
+} from "./versionFiles.js";
+import { resolveNextVersion, determineBump } from "./version.js";
+import { releaseState } from "./state.js";
+import {
+  PROJECT_ROOT,
+  writeTurlConfig,
+  detectFormatCommand,
+} from "./project.js";
+import {
+  execCommand,
+  execCommandSilent,
+  projectPath,
+  hasChanges,
+  getGitDiff,
+  getGitDiffStat,
+  getChangedFiles,
+  getDiffNumstat,
+  formatTagName,
+  getLastReleaseRef,
+  getCommitsSince,
+  gitCommit,
+  tagExists,
+  checkTagAvailable,
+  gitTag,
+  gitPush,
+  checkRemoteBranchFree,
+} from "./git.js";
+import {
+  printError,
+  printDiffReport,
+  printIndented,
+  printCssRemovalWarning,
+  printUnusedAssets,
+  printDeadCode,
+  printStep,
+  printSummary,
+} from "./output.js";
+import { exitWithRollback } from "./rollback.js";
+import {
+  generateCommitMessage,
+  generateOfflineCommitMessage,
+  buildChangelogEntry,
+  writeChangelog,
+  addChangelogLine,
+} from "./releaseNotes.js";
+import {
+  runBuildStep,
+  measureBundleSize,
+  checkBundleBudget,
+  formatBundleSize,
+  writeBundleHistory,
+} from "./buildOutput.js";
+import { listChangedFiles, runHooks, runReleaseHooks } from "./hookRunner.js";
+import {
+  resolvePushTarget,
+  getReleaseBranch,
+  createReleaseBranch,
+  buildPullRequest,
+  writePullRequest,
+} from "./releaseBranch.js";
+
+async function calculateVersion(project, config, cliOptions, releaseCommits) {
+  printStep(5, "Calculating new version", project);
+  const currentVersion = config.version;
+  let newVersion;
+  let bumpLevel;
+  try {
+    let autoBump = null;
+    if (!cliOptions.bump && !cliOptions.version && !cliOptions.promote) {
+      autoBump = determineBump(releaseCommits);
+    }
+    const nextVersion = resolveNextVersion(currentVersion, {
+      bump: cliOptions.bump,
+      autoBump: autoBump && autoBump.level,
+      version: cliOptions.version,
+      preid: cliOptions.preid,
+      promote: cliOptions.promote,
+    });
+    newVersion = nextVersion.version;
+    bumpLevel = nextVersion.level;
+    if (nextVersion.migratedFrom) {
+      process.stdout.write(
+        `  Migrating two-part version ${nextVersion.migratedFrom} to ${currentVersion}.0\n`,
+      );
+    }
+    if (cliOptions.preid) {
+      process.stdout.write(`  Channel: ${cliOptions.preid}\n`);
+    }
+    if (bumpLevel === "promote") {
+      process.stdout.write(
+        `  Bump: promote (stable release of ${currentVersion})\n`,
+      );
+    } else if (!autoBump) {
+      process.stdout.write(`  Bump: ${nextVersion.level} (from CLI)\n`);
+    } else if (!autoBump.level) {
+      process.stdout.write(
+        `  Bump: ${nextVersion.level} (no commits since last release, using default)\n`,
+      );
+    } else {
+      process.stdout.write(
+        `  Bump: ${nextVersion.level} (from commits since last release)\n`,
+      );
+      for (const commit of autoBump.commits.slice(0, 10)) {
+        process.stdout.write(
+          `    ${commit.hash.substring(0, 7)} ${commit.subject}\n`,
+        );
+      }
+      if (autoBump.commits.length > 10) {
+        process.stdout.write(
+          `    ... and ${autoBump.commits.length - 10} more\n`,
+        );
+      }
+    }
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+  process.stdout.write(`  New version: ${newVersion}\n`);
+
+  const tagName = formatTagName(config.tagFormat, newVersion);
+  try {
+    checkTagAvailable(tagName);
+    process.stdout.write(`  Tag: ${tagName}\n`);
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+
+  return { newVersion, bumpLevel, tagName };
+}
+
+async function runCleanupStep(project, config, dryRun) {
+  printStep(6, "Running code cleanup", project);
+  const removedLabel = dryRun ? "Would remove" : "Removed";
+  const cleanupEnabled =
+    config.cleanup.consoleLogs ||
+    config.cleanup.unusedCss ||
+    config.cleanup.unusedAssets ||
+    config.cleanup.deadCode;
+  let cleanupStats = null;
+  try {
+    if (!cleanupEnabled) {
+      process.stdout.write("  [SKIP] Cleanup disabled in turl.json\n");
+    }
+    cleanupStats = cleanupEnabled
+      ? await runCleanup(project.root, {
+          dryRun,
+          sourceDirs: config.sourceDirs,
+          consoleLogs: config.cleanup.consoleLogs,
+          strip: config.cleanup.strip,
+          unusedCss: config.cleanup.unusedCss,
+          safelist: config.cleanup.safelist,
+          unusedAssets: config.cleanup.unusedAssets,
+          keepAssets: config.cleanup.keepAssets,
+          deadCode: config.cleanup.deadCode,
+          beforeCssRemoval: (files) =>
+            printCssRemovalWarning(project, files, dryRun),
+        })
+      : { cssClassesRemoved: 0, unusedAssets: [], deadCode: null, files: [] };
+    if (config.cleanup.consoleLogs) {
+      const byType = Object.entries(cleanupStats.debugStatementsByType)
+        .map(([name, count]) => `${count} ${name}`)
+        .join(", ");
+      process.stdout.write(
+        `  ${removedLabel} ${cleanupStats.debugStatementsRemoved} debug statements${byType ? ` (${byType})` : ""}\n`,
+      );
+      if (cleanupStats.debugStatementsKept > 0) {
+        process.stdout.write(
+          `  Kept ${cleanupStats.debugStatementsKept} marked with turl-keep\n`,
+        );
+      }
+      if (cleanupStats.debugStatementsSkipped > 0) {
+        process.stdout.write(
+          `  Kept ${cleanupStats.debugStatementsSkipped} calls whose value is used\n`,
+        );
+      }
+      for (const file of cleanupStats.keptFiles) {
+        process.stdout.write(
+          `  [SKIP] ${projectPath(project, file)} is marked turl-keep-file\n`,
+        );
+      }
+    }
+    if (config.cleanup.unusedCss) {
+      process.stdout.write(
+        `  ${removedLabel} ${cleanupStats.cssClassesRemoved} unused CSS classes\n`,
+      );
+    }
+
+    if (dryRun) {
+      for (const file of cleanupStats.files) {
+        process.stdout.write(
+          `    ${projectPath(project, file.path)}: ${file.debugStatementsRemoved} debug statements, ${file.cssClassesRemoved} CSS classes\n`,
+        );
+      }
+    }
+
+    if (config.cleanup.unusedAssets) {
+      printUnusedAssets(project, config, cleanupStats.unusedAssets, dryRun);
+    }
+
+    if (cleanupStats.deadCode) {
+      printDeadCode(project, cleanupStats.deadCode);
+    }
+
+    if (cleanupStats.errors && cleanupStats.errors.length > 0) {
+      process.stdout.write(
+        `  [WARN] ${cleanupStats.errors.length} cleanup errors (non-fatal)\n`,
+      );
+      for (const error of cleanupStats.errors.slice(0, 3)) {
+        process.stdout.write(`    - ${error.message}\n`);
+      }
+    }
+
+    if (cleanupStats.warnings && cleanupStats.warnings.length > 0) {
+      process.stdout.write(
+        `  [WARN] ${cleanupStats.warnings.length} cleanup warnings\n`,
+      );
+      for (const warning of cleanupStats.warnings.slice(0, 3)) {
+        process.stdout.write(`    - ${warning.message}\n`);
+      }
+    }
+  } catch (err) {
+    process.stdout.write(
+      `  [WARN] Cleanup error (non-fatal): ${err.message}\n`,
+    );
+  }
+
+  const deadCode = cleanupStats && cleanupStats.deadCode;
+  if (
+    config.cleanup.deadCode === "fail" &&
+    deadCode &&
+    deadCode.modules.length + deadCode.exports.length > 0
+  ) {
+    printError(
+      new TurlError(
+        `Found ${deadCode.modules.length} unreachable files and ${deadCode.exports.length} unused exports`,
+        ErrorCodes.DEAD_CODE_FOUND,
+        {
+          suggestion:
+            'Remove them, or set cleanup.deadCode to "report" in turl.json to release anyway',
+        },
+      ),
+    );
+    await exitWithRollback(1);
+  }
+
+  return cleanupStats;
+}
+
+async function updateVersionFiles(project, config, newVersion, dryRun) {
+  printStep(9, "Updating turl.json", project);
+  const versionTargets = getVersionTargets(
+    PROJECT_ROOT,
+    project,
+    config.versionFiles,
+  );
+  if (dryRun) {
+    process.stdout.write(
+      `  [DRY RUN] Would update turl.json to version ${newVersion}\n`,
+    );
+    try {
+      for (const file of readVersionFiles(versionTargets)) {
+        if (file.exists) {
+          process.stdout.write(
+            `  [DRY RUN] Would update ${file.file} to version ${newVersion}\n`,
+          );
+        } else if (file.required) {
+          process.stdout.write(`  [WARN] ${file.file} not found\n`);
+        }
+      }
+    } catch (err) {
+      printError(err);
+      await exitWithRollback(1);
+    }
+  } else {
+    try {
+      writeTurlConfig(project, { ...config.file, version: newVersion });
+      process.stdout.write(`  Updated to version ${newVersion}\n`);
+      for (const file of writeVersionFiles(versionTargets, newVersion)) {
+        process.stdout.write(`  Updated ${file} to version ${newVersion}\n`);
+      }
+    } catch (err) {
+      printError(err);
+      await exitWithRollback(1);
+    }
+  }
+}
+
+function getReleaseChanges(project) {
+  return {
+    diff: getGitDiff(true, project),
+    stat: getGitDiffStat(true, project),
+    files: getChangedFiles(true, project),
+    numstat: getDiffNumstat(true, project),
+  };
+}
+
+async function prepareRelease(
+  { project, config, ai, hookContext },
+  cliOptions,
+) {
+  const dryRun = cliOptions.dryRun;
+  const currentVersion = config.version;
+
+  const releaseCommits = getCommitsSince(
+    getLastReleaseRef(config.tagFormat, project),
+    project,
+  );
+  const { newVersion, bumpLevel, tagName } = await calculateVersion(
+    project,
+    config,
+    cliOptions,
+    releaseCommits,
+  );
+
+  const cleanupStats = await runCleanupStep(project, config, dryRun);
+
+  hookContext.changedFiles = listChangedFiles(project);
+  await runReleaseHooks("afterCleanup", config, hookContext);
+
+  printStep(7, "Running code formatter", project);
+  const formatResult =
+    config.commands.format === null
+      ? detectFormatCommand(project.root)
+      : {
+          command: config.commands.format || null,
+          type: "config",
+          warning: "Formatter disabled in turl.json",
+        };
+
+  if (formatResult.command && dryRun) {
+    process.stdout.write(`  [DRY RUN] Would run: ${formatResult.command}\n`);
+  } else if (formatResult.command) {
+    try {
+      execCommand(formatResult.command, {
+        cwd: project.root,
+        silent: true,
+        ignoreError: false,
+      });
+      process.stdout.write(`  [OK] Formatted with: ${formatResult.command}\n`);
+    } catch (err) {
+      const errorMsg = err.message || "";
+
+      if (
+        errorMsg.includes("ENOENT") ||
+        errorMsg.includes("not found") ||
+        errorMsg.includes("command not found")
+      ) {
+        if (formatResult.type === "prettier") {
+          process.stdout.write(
+            "  [WARN] Prettier not found. Install with: npm install --save-dev prettier\n",
+          );
+        } else {
+          process.stdout.write(
+            `  [WARN] Format command not available: ${formatResult.command}\n`,
+          );
+        }
+      } else if (errorMsg.includes("EACCES")) {
+        process.stdout.write("  [WARN] Permission denied running formatter\n");
+      } else {
+        process.stdout.write(`  [WARN] Format failed: ${err.message}\n`);
+      }
+      process.stdout.write("  Continuing without formatting...\n");
+    }
+  } else {
+    process.stdout.write(
+      `  [SKIP] ${formatResult.warning || "No formatter detected"}\n`,
+    );
+    if (formatResult.suggestion) {
+      process.stdout.write(`  TIP: ${formatResult.suggestion}\n`);
+    }
+  }
+
+  printStep(8, "Checking for changes", project);
+  const diff = getGitDiff(false, project);
+  const changedFiles = getChangedFiles(false, project);
+  const cleanupChanges =
+    dryRun && cleanupStats ? cleanupStats.filesProcessed : 0;
+  const dirty =
+    hasChanges(project) || diff.trim().length > 0 || cleanupChanges > 0;
+  const historyOnly = !dirty && (bumpLevel === "promote" || project.workspace);
+
+  if (historyOnly && bumpLevel === "promote") {
+    process.stdout.write(
+      `  No code changes since ${currentVersion}, releasing it as stable\n`,
+    );
+  } else if (historyOnly) {
+    process.stdout.write(
+      `  No uncommitted changes, releasing ${releaseCommits.length} commits\n`,
+    );
+  } else if (!dirty) {
+    return null;
+  } else if (cleanupChanges > 0) {
+    process.stdout.write(
+      `  [DRY RUN] Found ${changedFiles.length} changed files, plus ${cleanupChanges} that cleanup would change\n`,
+    );
+  } else {
+    process.stdout.write(`  Found ${changedFiles.length} changed files\n`);
+  }
+
+  const releaseChanges = getReleaseChanges(project);
+
+  await updateVersionFiles(project, config, newVersion, dryRun);
+
+  hookContext.version = newVersion;
+  hookContext.tag = tagName;
+  hookContext.changedFiles = releaseChanges.numstat.map((stat) => stat.file);
+  await runReleaseHooks("afterBump", config, hookContext);
+
+  const { changelogEntry: generatedEntry, offlineNotes } =
+    await buildChangelogEntry(
+      { project, config, ai },
+      {
+        currentVersion,
+        newVersion,
+        bumpLevel,
+        historyOnly,
+        releaseCommits,
+        releaseChanges,
+      },
+      dryRun,
+    );
+
+  let changelogEntry = await writeChangelog(
+    project,
+    config,
+    generatedEntry,
+    newVersion,
+    dryRun,
+  );
+
+  hookContext.changelog = changelogEntry;
+  await runReleaseHooks("afterChangelog", config, hookContext);
+
+  const build = await runBuildStep(project, config, dryRun);
+  if (build.error && cliOptions.allowBuildFailure) {
+    process.stdout.write(`  [WARN] ${build.error.message}\n`);
+    process.stdout.write(
+      "  Continuing with release (--allow-build-failure)...\n",
+    );
+  } else if (build.error) {
+    printError(build.error);
+    process.stdout.write(
+      "  TIP: Pass --allow-build-failure to release with a failing build\n",
+    );
+    await exitWithRollback(1);
+  }
+
+  let bundleSize = null;
+  if (build.outputDir && config.bundleSize) {
+    bundleSize = measureBundleSize(
+      project,
+      config,
+      build.outputDir,
+      newVersion,
+    );
+    const budgetError = checkBundleBudget(config, bundleSize.bundle);
+    if (budgetError) {
+      printError(budgetError);
+      await exitWithRollback(1);
+    }
+    if (config.bundleSize.history) {
+      writeBundleHistory(project, config, newVersion, bundleSize);
+    }
+    if (config.bundleSize.changelog) {
+      changelogEntry = addChangelogLine(
+        project,
+        config,
+        changelogEntry,
+        `- Bundle size: ${formatBundleSize(config, bundleSize)}`,
+      );
+      hookContext.changelog = changelogEntry;
+    }
+  }
+
+  await runReleaseHooks("afterBuild", config, hookContext);
+
+  return {
+    project,
+    config,
+    ai,
+    hookContext,
+    currentVersion,
+    newVersion,
+    tagName,
+    changelogEntry,
+    offlineNotes,
+    deadCode: cleanupStats && cleanupStats.deadCode,
+    bundleSize,
+  };
+}
+
+async function buildCommitMessage(release) {
+  const { project, ai, newVersion, offlineNotes } = release;
+  const projectName = release.config.projectName;
+
+  if (offlineNotes) {
+    return generateOfflineCommitMessage(newVersion, projectName, offlineNotes);
+  }
+
+  process.stdout.write("  Generating commit message with AI...\n");
+  const preparedDiff = await prepareDiff(
+    ai,
+    projectName,
+    getGitDiff(true, project),
+  );
+  printDiffReport(preparedDiff);
+  return generateCommitMessage(
+    ai,
+    newVersion,
+    projectName,
+    preparedDiff,
+    getGitDiffStat(true, project),
+    getChangedFiles(true, project),
+  );
+}
+
+function getSharedChanges(releases) {
+  const excludes = releases.map(
+    (release) => `':(exclude)${release.project.dir}'`,
+  );
+  return execCommandSilent(
+    `git status --porcelain --untracked-files=all -- . ${excludes.join(" ")}`,
+  )
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => line.substring(3));
+}
+
+function generateWorkspaceCommitMessage(releases) {
+  const names = releases.map(
+    (release) => `${release.config.projectName} v${release.newVersion}`,
+  );
+  const sections = releases.map((release) => {
+    const bullets = release.changelogEntry
+      .split("\n")
+      .filter((line) => line.startsWith("- "));
+    return `${release.config.projectName} v${release.newVersion}:\n${bullets.join("\n")}`;
+  });
+
+  return `Release ${names.join(", ")}\n\n${sections.join("\n\n")}`;
+}
+
+async function commitRelease(message, tags) {
+  if (message !== null) {
+    try {
+      gitCommit(message);
+      releaseState.committed = true;
+      process.stdout.write("  [OK] Committed successfully\n");
+    } catch (err) {
+      printError(err);
+      await exitWithRollback(1);
+    }
+  }
+
+  for (const { tagName, changelogEntry } of tags) {
+    try {
+      gitTag(tagName, changelogEntry);
+      releaseState.createdTags.push(tagName);
+      process.stdout.write(`  [OK] Created tag ${tagName}\n`);
+    } catch (err) {
+      printError(err);
+      await exitWithRollback(1);
+    }
+  }
+}
+
+function getReleaseDetails(releases) {
+  const details = [];
+
+  for (const release of releases) {
+    const prefix = release.project.workspace
+      ? `${release.config.projectName}: `
+      : "";
+    if (release.bundleSize) {
+      details.push(
+        `${prefix}Bundle size: ${formatBundleSize(release.config, release.bundleSize)}`,
+      );
+    }
+    const deadCode = release.deadCode;
+    if (deadCode && deadCode.modules.length + deadCode.exports.length > 0) {
+      details.push(
+        `${prefix}Dead code: ${deadCode.modules.length} unreachable files, ${deadCode.exports.length} unused exports`,
+      );
+    }
+  }
+
+  return details;
+}
+
+async function finishRelease(releases, cliOptions, commit = true) {
+  const dryRun = cliOptions.dryRun;
+  const workspace = releases[0].project.workspace;
+
+  let branch;
+  let remote;
+  let push;
+  try {
+    ({ branch, remote, push } = resolvePushTarget(releases, cliOptions));
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+
+  const releaseNames = releases
+    .map((release) => `${release.config.projectName} v${release.newVersion}`)
+    .join(", ");
+  const tagNames = releases.map((release) => release.tagName);
+  const perPackage = workspace && cliOptions.commitPerPackage && commit;
+  const details = getReleaseDetails(releases);
+  const releaseBranch = commit ? getReleaseBranch(releases, cliOptions) : null;
+  const pushBranch = releaseBranch ? releaseBranch.name : branch;
+  const pushTags = releaseBranch ? [] : tagNames;
+  const tagged = releaseBranch ? [] : releases;
+  const pushTarget = `${pushTags.length > 0 ? `${pushTags.join(", ")} and ` : ""}${remote}/${pushBranch}`;
+
+  const forge = releaseBranch && push ? releaseState.forge : null;
+  if (releaseBranch && push) {
+    try {
+      checkRemoteBranchFree(remote, releaseBranch.name);
+    } catch (err) {
+      printError(err);
+      await exitWithRollback(1);
+    }
+  }
+
+  for (const release of releases) {
+    release.hookContext.branch = pushBranch;
+    await runReleaseHooks("beforeCommit", release.config, release.hookContext);
+  }
+
+  printStep(13, "Staging all changes");
+  if (releaseBranch && dryRun) {
+    process.stdout.write(
+      `  [DRY RUN] Would create branch ${releaseBranch.name} from ${branch}\n`,
+    );
+  } else if (releaseBranch) {
+    try {
+      createReleaseBranch(releaseBranch.name, branch);
+      process.stdout.write(
+        `  [OK] Created branch ${releaseBranch.name} from ${branch}\n`,
+      );
+    } catch (err) {
+      printError(err);
+      await exitWithRollback(1);
+    }
+  }
+  if (!commit) {
+    process.stdout.write("  Nothing to commit, tagging the current commit\n");
+  } else if (dryRun) {
+    process.stdout.write("  [DRY RUN] Would stage all changes\n");
+  } else if (perPackage) {
+    process.stdout.write("  Changes are staged per package in step 14\n");
+  } else {
+    try {
+      execCommand("git add -A", { silent: true });
+      process.stdout.write("  [OK] All changes staged\n");
+    } catch (err) {
+      process.stdout.write(
+        `  [ERROR] Failed to stage changes: ${err.message}\n`,
+      );
+      await exitWithRollback(1);
+    }
+  }
+
+  printStep(14, "Committing and pushing");
+  if (!commit) {
+    if (dryRun) {
+      for (const release of releases) {
+        process.stdout.write(
+          `  [DRY RUN] Would create annotated tag ${release.tagName} with the changelog entry\n`,
+        );
+      }
+    } else {
+      await commitRelease(null, releases);
+    }
+  } else if (perPackage) {
+    const sharedFiles = getSharedChanges(releases);
+    for (const release of releases) {
+      process.stdout.write(`  ${release.config.projectName}:\n`);
+
+      if (!dryRun) {
+        try {
+          execCommand(`git add -A -- "${release.project.dir}"`, {
+            silent: true,
+          });
+        } catch (err) {
+          process.stdout.write(
+            `  [ERROR] Failed to stage changes: ${err.message}\n`,
+          );
+          await exitWithRollback(1);
+        }
+      }
+
+      let commitMessage;
+      try {
+        commitMessage = await buildCommitMessage(release);
+        process.stdout.write("  [OK] Commit message generated\n");
+      } catch (err) {
+        printError(err);
+        await exitWithRollback(1);
+      }
+
+      if (dryRun) {
+        printIndented(commitMessage);
+        process.stdout.write(
+          releaseBranch
+            ? "  [DRY RUN] Would commit with the message above\n"
+            : `  [DRY RUN] Would commit with the message above and tag it ${release.tagName}\n`,
+        );
+      } else {
+        await commitRelease(commitMessage, releaseBranch ? [] : [release]);
+      }
+    }
+
+    if (sharedFiles.length > 0) {
+      process.stdout.write("  Files outside the packages:\n");
+      const commitMessage = `Update shared files for ${releaseNames}\n\n${sharedFiles.map((file) => `- ${file}`).join("\n")}`;
+      if (dryRun) {
+        printIndented(commitMessage);
+        process.stdout.write(
+          "  [DRY RUN] Would commit them with the message above\n",
+        );
+      } else {
+        try {
+          execCommand("git add -A", { silent: true });
+        } catch (err) {
+          process.stdout.write(
+            `  [ERROR] Failed to stage changes: ${err.message}\n`,
+          );
+          await exitWithRollback(1);
+        }
+        await commitRelease(commitMessage, []);
+      }
+    }
+  } else {
+    let commitMessage;
+    try {
+      commitMessage = workspace
+        ? generateWorkspaceCommitMessage(releases)
+        : await buildCommitMessage(releases[0]);
+      process.stdout.write("  [OK] Commit message generated\n");
+    } catch (err) {
+      printError(err);
+      await exitWithRollback(1);
+    }
+
+    if (dryRun) {
+      printIndented(commitMessage);
+      process.stdout.write("  [DRY RUN] Would commit with the message above\n");
+      for (const release of tagged) {
+        process.stdout.write(
+          `  [DRY RUN] Would create annotated tag ${release.tagName} with the changelog entry\n`,
+        );
+      }
+    } else {
+      await commitRelease(commitMessage, tagged);
+    }
+  }
+
+  const pushCommand = `git push --atomic ${remote} ${[pushBranch, ...pushTags.map((tagName) => `refs/tags/${tagName}`)].join(" ")}`;
+  const pullRequest = releaseBranch
+    ? buildPullRequest(releases, branch, details)
+    : null;
+
+  if (dryRun) {
+    process.stdout.write(
+      push
+        ? `  [DRY RUN] Would push ${pushTarget}\n`
+        : "  [SKIP] Push disabled in turl.json\n",
+    );
+    if (push) {
+      for (const release of releases) {
+        await runHooks("afterPush", release.config, release.hookContext);
+      }
+    }
+    if (pullRequest) {
+      writePullRequest(releaseBranch, pullRequest, branch, dryRun);
+      if (forge) {
+        process.stdout.write(
+          `  [DRY RUN] Would open the pull request on ${forge.label} (${forge.repo})\n`,
+        );
+      }
+    }
+    printSummary(`Dry run complete: ${releaseNames}`, details);
+    return;
+  }
+
+  if (!push) {
+    process.stdout.write("  [SKIP] Push disabled in turl.json\n");
+    process.stdout.write(
+      `  TIP: Push the release later with '${pushCommand}'\n`,
+    );
+    if (pullRequest) {
+      writePullRequest(releaseBranch, pullRequest, branch, dryRun);
+      printSummary(`${releaseNames} committed to ${pushBranch}`, details);
+      return;
+    }
+    printSummary(`${releaseNames} released locally!`, details);
+    return;
+  }
+
+  process.stdout.write(`  Pushing ${pushTarget}...\n`);
+  try {
+    gitPush(pushBranch, pushTags, remote);
+    process.stdout.write("  [OK] Pushed successfully\n");
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+
+  if (releaseBranch) {
+    try {
+      execCommand(`git checkout "${branch}"`, { silent: true });
+      process.stdout.write(`  [OK] Switched back to ${branch}\n`);
+    } catch (err) {
+      process.stdout.write(
+        `  [WARN] Could not switch back to ${branch}: ${err.message}\n`,
+      );
+    }
+    releaseState.createdBranch = null;
+  }
+
+  for (const release of releases) {
+    try {
+      await runHooks("afterPush", release.config, release.hookContext);
+    } catch (err) {
+      printError(err);
+      process.stdout.write(
+        "  The release was already pushed, so nothing was rolled back\n",
+      );
+      process.exit(1);
+    }
+  }
+
+  if (!pullRequest) {
+    printSummary(`${releaseNames} released!`, details);
+    return;
+  }
+
+  writePullRequest(releaseBranch, pullRequest, branch, dryRun);
+  if (forge) {
+    try {
+      const opened = await openPullRequest(forge, {
+        ...pullRequest,
+        head: pushBranch,
+        base: branch,
+      });
+      process.stdout.write(
+        `  [OK] Opened pull request #${opened.number}: ${opened.url}\n`,
+      );
+      details.push(`Pull request: ${opened.url}`);
+    } catch (err) {
+      printError(err);
+      process.stdout.write(
+        "  The release branch was already pushed, so nothing was rolled back\n",
+      );
+      process.exit(1);
+    }
+  }
+
+  printSummary(`${releaseNames} pushed to ${remote}/${pushBranch}`, [
+    ...details,
+    `Merge it into ${branch}, then run 'turl-release publish' to tag it`,
+  ]);
+}
+
+function isVersionPending(project, config) {
+  if (tagExists(formatTagName(config.tagFormat, config.version))) {
+    return false;
+  }
+
+  const committed = execCommandSilent(
+    `git show "HEAD:${projectPath(project, "public/turl.json")}"`,
+  );
+  try {
+    return String(JSON.parse(committed).version) !== config.version;
+  } catch {
+    return true;
+  }
+}
+
+async function resolvePendingVersion(
+  project,
+  config,
+  cliOptions,
+  releaseCommits,
+) {
+  const versionFlags =
+    cliOptions.bump ||
+    cliOptions.version ||
+    cliOptions.preid ||
+    cliOptions.promote;
+  if (versionFlags || !isVersionPending(project, config)) {
+    return calculateVersion(project, config, cliOptions, releaseCommits);
+  }
+
+  printStep(5, "Calculating new version", project);
+  process.stdout.write(
+    `  New version: ${config.version} (bumped in turl.json, not tagged yet)\n`,
+  );
+  return {
+    newVersion: config.version,
+    bumpLevel: null,
+    tagName: formatTagName(config.tagFormat, config.version),
+  };
+}
+
+export {
+  calculateVersion,
+  runCleanupStep,
+  updateVersionFiles,
+  getReleaseChanges,
+  prepareRelease,
+  finishRelease,
+  isVersionPending,
+  resolvePendingVersion,
+};
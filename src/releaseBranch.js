@@ -0,0 +1,233 @@
+import path from "path";
+import { TurlError, ErrorCodes } from "./errors.js";
+import { createSnapshot } from "./snapshot.js";
+import { resolveForgeConfig } from "./forge.js";
+import { releaseState } from "./state.js";
+import { PROJECT_ROOT, safeWriteFile } from "./project.js";
+import {
+  getCurrentBranch,
+  fetchRemoteBranch,
+  getAheadBehind,
+  rebaseOnto,
+  execCommand,
+  execCommandSilent,
+} from "./git.js";
+import { printError, askYesNo, printIndented, printStep } from "./output.js";
+import { exitWithRollback } from "./rollback.js";
+import {
+  resolveWorkspaceBranch,
+  resolveWorkspaceSetting,
+} from "./preflight.js";
+
+function resolvePushTarget(releases, cliOptions) {
+  return {
+    branch: releases[0].project.workspace
+      ? resolveWorkspaceBranch(releases, cliOptions)
+      : cliOptions.branch || releases[0].config.branch,
+    remote: resolveWorkspaceSetting(
+      releases,
+      "remote",
+      "push to different remotes",
+    ),
+    push: resolveWorkspaceSetting(
+      releases,
+      "push",
+      "disagree on whether to push",
+    ),
+  };
+}
+
+async function checkBranchState(releases, cliOptions) {
+  if (releases.length === 0) {
+    return;
+  }
+
+  let target;
+  try {
+    target = resolvePushTarget(releases, cliOptions);
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+  const { branch, remote } = target;
+
+  printStep(3, "Checking branch and remote");
+  try {
+    const current = getCurrentBranch();
+    if (current !== branch) {
+      throw new TurlError(
+        current === "HEAD"
+          ? `HEAD is detached, but the release targets ${branch}`
+          : `On branch ${current}, but the release targets ${branch}`,
+        ErrorCodes.GIT_WRONG_BRANCH,
+        {
+          branch,
+          suggestion:
+            current === "HEAD"
+              ? `Switch with 'git checkout ${branch}'`
+              : `Switch with 'git checkout ${branch}', or pass --branch ${current} to release this branch`,
+        },
+      );
+    }
+    process.stdout.write(`  [OK] On branch ${branch}\n`);
+
+    if (!target.push) {
+      process.stdout.write(
+        `  [SKIP] Push disabled in turl.json, ${remote} not checked\n`,
+      );
+      return;
+    }
+
+    const settings = releases[0].config.releaseBranch;
+    if ((cliOptions.releaseBranch || settings.enabled) && settings.forge) {
+      releaseState.forge = resolveForgeConfig(
+        settings.forge,
+        execCommand(`git remote get-url ${remote}`, { silent: true }),
+      );
+      process.stdout.write(
+        `  [OK] Pull requests will be opened on ${releaseState.forge.label} (${releaseState.forge.repo})\n`,
+      );
+    }
+
+    if (!fetchRemoteBranch(remote, branch)) {
+      process.stdout.write(
+        `  [OK] ${remote}/${branch} does not exist yet and will be created by the push\n`,
+      );
+      return;
+    }
+    process.stdout.write(`  [OK] Fetched ${remote}/${branch}\n`);
+
+    const { ahead, behind } = getAheadBehind(remote, branch);
+    if (behind === 0) {
+      process.stdout.write(
+        ahead === 0
+          ? `  [OK] Up to date with ${remote}/${branch}\n`
+          : `  [OK] ${ahead} commits ahead of ${remote}/${branch}\n`,
+      );
+      return;
+    }
+
+    process.stdout.write(
+      `  [WARN] ${remote}/${branch} has ${behind} commits that are not in your branch (${ahead} ahead, ${behind} behind)\n`,
+    );
+    if (cliOptions.dryRun) {
+      process.stdout.write(
+        `  [DRY RUN] The release would stop here until you rebase onto ${remote}/${branch}\n`,
+      );
+      return;
+    }
+
+    const rebase = await askYesNo(
+      `  Rebase onto ${remote}/${branch} now? [y/N] `,
+    );
+    if (!rebase) {
+      throw new TurlError(
+        `Your branch is ${behind} commits behind ${remote}/${branch}`,
+        ErrorCodes.GIT_BEHIND_REMOTE,
+        {
+          remote,
+          branch,
+          suggestion: `Run 'git pull --rebase ${remote} ${branch}' and try again`,
+        },
+      );
+    }
+
+    rebaseOnto(remote, branch);
+    releaseState.snapshot = createSnapshot(PROJECT_ROOT);
+    process.stdout.write(`  [OK] Rebased onto ${remote}/${branch}\n`);
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+}
+
+function getReleaseBranch(releases, cliOptions) {
+  const settings = releases[0].config.releaseBranch;
+  if (!cliOptions.releaseBranch && !settings.enabled) {
+    return null;
+  }
+
+  const tags = releases.map((release) => release.tagName).join("+");
+  return {
+    ...settings,
+    name: settings.name
+      .split("{tag}")
+      .join(tags)
+      .split("{version}")
+      .join(releases[0].newVersion),
+  };
+}
+
+function createReleaseBranch(name, base) {
+  if (
+    execCommandSilent(`git rev-parse --verify --quiet "refs/heads/${name}"`)
+  ) {
+    throw new TurlError(
+      `Branch ${name} already exists`,
+      ErrorCodes.GIT_BRANCH_EXISTS,
+      {
+        branch: name,
+        suggestion: `Delete it with 'git branch -D ${name}', or change releaseBranch.name in turl.json`,
+      },
+    );
+  }
+
+  try {
+    execCommand(`git checkout -b "${name}"`, { silent: true });
+    releaseState.createdBranch = { name, base };
+  } catch (err) {
+    throw new TurlError(
+      `Failed to create branch ${name}: ${err.message}`,
+      ErrorCodes.GIT_COMMIT_FAILED,
+      { branch: name, originalError: err.message },
+    );
+  }
+}
+
+function buildPullRequest(releases, base, details) {
+  const tagNames = releases.map((release) => release.tagName).join(", ");
+  const entries = releases
+    .map((release) => release.changelogEntry.trim())
+    .join("\n\n");
+  const notes = details.map((line) => `- ${line}`).join("\n");
+
+  return {
+    title: `Release ${releases.map((release) => `${release.config.projectName} v${release.newVersion}`).join(", ")}`,
+    body: `${entries}\n\n${notes ? `${notes}\n\n` : ""}---\n\nAfter merging, run \`npx turl-release publish\` on ${base} to tag ${tagNames}.\n`,
+  };
+}
+
+function writePullRequest(releaseBranch, pullRequest, base, dryRun) {
+  process.stdout.write(`\n  Pull request: ${releaseBranch.name} -> ${base}\n`);
+  process.stdout.write(`  Title: ${pullRequest.title}\n`);
+
+  if (!releaseBranch.prFile) {
+    process.stdout.write("\n");
+    printIndented(pullRequest.body.trimEnd());
+    return;
+  }
+  if (dryRun) {
+    process.stdout.write(
+      `  [DRY RUN] Would write the title and body to ${releaseBranch.prFile}\n`,
+    );
+    return;
+  }
+
+  safeWriteFile(
+    path.join(PROJECT_ROOT, releaseBranch.prFile),
+    `${pullRequest.title}\n\n${pullRequest.body}`,
+    releaseBranch.prFile,
+  );
+  process.stdout.write(
+    `  [OK] Wrote the title and body to ${releaseBranch.prFile}\n`,
+  );
+}
+
+export {
+  resolvePushTarget,
+  checkBranchState,
+  getReleaseBranch,
+  createReleaseBranch,
+  buildPullRequest,
+  writePullRequest,
+};
@@ -0,0 +1,469 @@
+import fs from "fs";
+import path from "path";
+import { TurlError, ErrorCodes } from "./errors.js";
+import { complete } from "./providers.js";
+import { prepareDiff, formatSkippedNotes } from "./diff.js";
+import { parseVersion, isPrerelease } from "./version.js";
+import { safeReadFile, safeWriteFile } from "./project.js";
+import { projectPath } from "./git.js";
+import {
+  printError,
+  printDiffReport,
+  printIndented,
+  printStep,
+} from "./output.js";
+import { exitWithRollback } from "./rollback.js";
+
+function formatDiffForPrompt(preparedDiff) {
+  const sections = [];
+
+  if (preparedDiff.summarized) {
+    sections.push(
+      `Diff summaries (the full diff was too large, so it was summarized in ${preparedDiff.parts} parts):\n${preparedDiff.text}`,
+    );
+  } else {
+    sections.push(`Actual diff:\n${preparedDiff.text}`);
+  }
+
+  if (preparedDiff.skipped.length > 0) {
+    sections.push(
+      `Files whose contents were omitted:\n${formatSkippedNotes(preparedDiff.skipped)}`,
+    );
+  }
+
+  return sections.join("\n\n");
+}
+
+function hasPreparedDiff(preparedDiff) {
+  return preparedDiff.text.trim().length > 0 || preparedDiff.skipped.length > 0;
+}
+
+async function generateChangelog(
+  ai,
+  newVersion,
+  projectName,
+  preparedDiff,
+  stat,
+  changedFiles,
+) {
+  const today = new Date().toISOString().split("T")[0];
+
+  if (!hasPreparedDiff(preparedDiff)) {
+    throw new TurlError(
+      "No diff available to generate changelog",
+      ErrorCodes.API_RESPONSE_INVALID,
+      { suggestion: "Make sure there are actual code changes to release" },
+    );
+  }
+
+  const prompt = `Generate a changelog entry for ${projectName} version ${newVersion}.
+
+RULES:
+1. ONLY describe changes that are EXPLICITLY visible in the diff below
+2. Do NOT invent or assume any changes not shown in the diff
+3. Write in a natural, human-friendly tone - like a developer explaining what they did
+4. Be specific - mention actual features, fixes, or improvements by name
+5. Group related changes together logically
+6. Use bullet points starting with "-"
+7. Include ALL meaningful changes visible in the diff
+8. Keep it concise but complete
+9. Do NOT use any emojis
+10. Do NOT mention version bumps, version file updates, or turl.json changes
+11. Focus on what actually changed in the code, not metadata
+
+Changed files: ${changedFiles.join(", ")}
+
+Diff statistics:
+${stat}
+
+${formatDiffForPrompt(preparedDiff)}
+
+Output format (EXACTLY):
+## [${newVersion}] - ${today}
+
+- First change (written naturally)
+- Second change
+- (as many as needed)`;
+
+  const response = await complete(ai, prompt);
+
+  if (!response || !response.includes(`## [${newVersion}]`)) {
+    throw new TurlError(
+      `${ai.label} returned invalid changelog format`,
+      ErrorCodes.API_RESPONSE_INVALID,
+      {
+        response: response ? response.substring(0, 200) : "empty",
+        suggestion: "The AI response did not match expected format",
+      },
+    );
+  }
+
+  return response.trim() + "\n";
+}
+
+async function generateCommitMessage(
+  ai,
+  newVersion,
+  projectName,
+  preparedDiff,
+  stat,
+  changedFiles,
+) {
+  const firstLine = `${projectName}: Release v${newVersion}`;
+
+  if (!hasPreparedDiff(preparedDiff)) {
+    throw new TurlError(
+      "No diff available to generate commit message",
+      ErrorCodes.API_RESPONSE_INVALID,
+      { suggestion: "Make sure there are actual code changes to commit" },
+    );
+  }
+
+  const prompt = `Generate a git commit message for ${projectName} version ${newVersion}.
+
+CRITICAL RULES:
+1. The FIRST line MUST be EXACTLY: "${projectName}: Release v${newVersion}"
+2. The SECOND line MUST be blank
+3. Then bullet points of changes starting with "-"
+4. ONLY describe changes that are EXPLICITLY visible in the diff below
+5. Do NOT invent or assume any changes not shown in the diff
+6. Write in a natural, human-friendly tone
+7. Be specific about what actually changed
+8. Group related changes together
+9. Include ALL meaningful changes visible in the diff
+10. Do NOT use any emojis
+11. Do NOT mention version bumps, version file updates, or turl.json changes
+12. Focus on actual code changes, not metadata
+
+Changed files: ${changedFiles.join(", ")}
+
+Diff statistics:
+${stat}
+
+${formatDiffForPrompt(preparedDiff)}
+
+Output format (EXACTLY):
+${projectName}: Release v${newVersion}
+
+- First change (written naturally)
+- Second change
+- (as many as needed)`;
+
+  const response = await complete(ai, prompt);
+
+  if (!response) {
+    throw new TurlError(
+      `${ai.label} returned empty commit message`,
+      ErrorCodes.API_RESPONSE_INVALID,
+      { suggestion: "The AI did not generate a valid response" },
+    );
+  }
+
+  if (response.startsWith(`${projectName}: Release v${newVersion}`)) {
+    return response.trim();
+  }
+
+  if (response.includes("-")) {
+    return `${firstLine}\n\n${response.trim()}`;
+  }
+
+  throw new TurlError(
+    `${ai.label} returned invalid commit message format`,
+    ErrorCodes.API_RESPONSE_INVALID,
+    {
+      response: response.substring(0, 200),
+      suggestion: "The AI response did not match expected format",
+    },
+  );
+}
+
+function buildOfflineNotes(commits, fileStats, changelogFile = "CHANGELOG.md") {
+  const notes = commits
+    .map((commit) => commit.subject.trim())
+    .filter((subject) => subject && !subject.startsWith("Merge "));
+
+  const releaseFiles = fileStats.filter((stat) => stat.file !== changelogFile);
+
+  for (const stat of releaseFiles.slice(0, 20)) {
+    if (stat.untracked) {
+      notes.push(`Added ${stat.file}`);
+    } else if (stat.added === "-") {
+      notes.push(`Updated ${stat.file} (binary)`);
+    } else {
+      notes.push(`Updated ${stat.file} (+${stat.added} -${stat.deleted})`);
+    }
+  }
+
+  if (releaseFiles.length > 20) {
+    notes.push(`Updated ${releaseFiles.length - 20} more files`);
+  }
+
+  if (notes.length === 0) {
+    throw new TurlError(
+      "No commits or file changes available to build release notes",
+      ErrorCodes.CHANGELOG_EMPTY,
+      { suggestion: "Make sure there are actual code changes to release" },
+    );
+  }
+
+  return notes;
+}
+
+function generateOfflineChangelog(newVersion, notes) {
+  const today = new Date().toISOString().split("T")[0];
+  const bullets = notes.map((note) => `- ${note}`).join("\n");
+  return `## [${newVersion}] - ${today}\n\n${bullets}\n`;
+}
+
+function generateOfflineCommitMessage(newVersion, projectName, notes) {
+  const bullets = notes.map((note) => `- ${note}`).join("\n");
+  return `${projectName}: Release v${newVersion}\n\n${bullets}`;
+}
+
+function foldPrereleaseEntries(content, version) {
+  const stable = parseVersion(version);
+  const folded = [];
+  const notes = [];
+
+  const sections = content.split(/^(?=## \[)/m).filter((section) => {
+    const match = section.match(/^## \[([^\]]+)\]/);
+    if (!match) return true;
+
+    let entryVersion;
+    try {
+      entryVersion = parseVersion(match[1]);
+    } catch {
+      return true;
+    }
+
+    if (
+      entryVersion.prerelease.length === 0 ||
+      entryVersion.major !== stable.major ||
+      entryVersion.minor !== stable.minor ||
+      entryVersion.patch !== stable.patch
+    ) {
+      return true;
+    }
+
+    folded.push(match[1]);
+    for (const line of section.split("\n")) {
+      if (line.startsWith("- ") && !notes.includes(line)) {
+        notes.push(line);
+      }
+    }
+    return false;
+  });
+
+  return { content: sections.join(""), folded, notes };
+}
+
+function updateChangelog(project, changelogEntry, options = {}) {
+  const changelogFile = options.path || "CHANGELOG.md";
+  const changelogPath = path.join(project.root, changelogFile);
+  let existingContent = "";
+
+  if (fs.existsSync(changelogPath)) {
+    existingContent = safeReadFile(changelogPath, changelogFile);
+  }
+
+  let folded = [];
+  if (options.foldPrereleases && existingContent) {
+    const result = foldPrereleaseEntries(existingContent, options.version);
+    const extraNotes = result.notes.filter(
+      (note) => !changelogEntry.split("\n").includes(note),
+    );
+    existingContent = result.content;
+    folded = result.folded;
+    if (extraNotes.length > 0) {
+      changelogEntry =
+        changelogEntry.trimEnd() + "\n" + extraNotes.join("\n") + "\n";
+    }
+  }
+
+  if (options.dryRun) {
+    return { entry: changelogEntry, folded };
+  }
+
+  const header =
+    "# Changelog\n\nAll notable changes to this project will be documented in this file.\n\n";
+
+  if (!existingContent) {
+    safeWriteFile(changelogPath, header + changelogEntry + "\n", changelogFile);
+    return { entry: changelogEntry, folded };
+  }
+
+  if (existingContent.startsWith("# Changelog")) {
+    const headerEndIndex = existingContent.indexOf(
+      "\n\n",
+      existingContent.indexOf("\n") + 1,
+    );
+    if (headerEndIndex !== -1) {
+      const existingHeader = existingContent.substring(0, headerEndIndex + 2);
+      const existingEntries = existingContent.substring(headerEndIndex + 2);
+      safeWriteFile(
+        changelogPath,
+        existingHeader + changelogEntry + "\n" + existingEntries,
+        changelogFile,
+      );
+      return { entry: changelogEntry, folded };
+    }
+  }
+
+  safeWriteFile(
+    changelogPath,
+    header + changelogEntry + "\n" + existingContent,
+    changelogFile,
+  );
+  return { entry: changelogEntry, folded };
+}
+
+async function buildChangelogEntry(
+  { project, config, ai },
+  {
+    currentVersion,
+    newVersion,
+    bumpLevel,
+    historyOnly,
+    releaseCommits,
+    releaseChanges,
+  },
+  showEntry,
+) {
+  const projectName = config.projectName;
+  printStep(10, "Generating changelog", project);
+  let changelogEntry;
+  let offlineNotes = null;
+  try {
+    if (historyOnly) {
+      offlineNotes = [
+        ...(bumpLevel === "promote"
+          ? [`Promoted ${currentVersion} to stable`]
+          : []),
+        ...(releaseCommits.length > 0 || bumpLevel !== "promote"
+          ? buildOfflineNotes(releaseCommits, [])
+          : []),
+      ];
+      changelogEntry = generateOfflineChangelog(newVersion, offlineNotes);
+      process.stdout.write("  [OK] Changelog built from commit history\n");
+    } else if (ai) {
+      const preparedDiff = await prepareDiff(
+        ai,
+        projectName,
+        releaseChanges.diff,
+      );
+      printDiffReport(preparedDiff);
+      changelogEntry = await generateChangelog(
+        ai,
+        newVersion,
+        projectName,
+        preparedDiff,
+        releaseChanges.stat,
+        releaseChanges.files,
+      );
+      process.stdout.write("  [OK] Changelog generated with AI\n");
+    } else {
+      offlineNotes = buildOfflineNotes(
+        releaseCommits,
+        releaseChanges.numstat,
+        projectPath(project, config.changelog.path),
+      );
+      changelogEntry = generateOfflineChangelog(newVersion, offlineNotes);
+      process.stdout.write("  [OK] Changelog built from git history\n");
+    }
+    if (showEntry) {
+      printIndented(changelogEntry);
+    }
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+
+  return { changelogEntry, offlineNotes };
+}
+
+async function writeChangelog(
+  project,
+  config,
+  changelogEntry,
+  newVersion,
+  dryRun,
+) {
+  printStep(11, `Updating ${config.changelog.path}`, project);
+  const changelogPath = projectPath(project, config.changelog.path);
+  try {
+    const changelogResult = updateChangelog(project, changelogEntry, {
+      path: config.changelog.path,
+      version: newVersion,
+      foldPrereleases:
+        config.changelog.prereleases === "fold" && !isPrerelease(newVersion),
+      dryRun,
+    });
+    changelogEntry = changelogResult.entry;
+    if (changelogResult.folded.length > 0) {
+      process.stdout.write(
+        `  ${dryRun ? "Would fold" : "Folded"} ${changelogResult.folded.join(", ")} into ${newVersion}\n`,
+      );
+      if (dryRun) {
+        printIndented(changelogEntry);
+      }
+    }
+    if (dryRun) {
+      process.stdout.write(
+        `  [DRY RUN] Would add the entry above to ${changelogPath}\n`,
+      );
+    } else {
+      process.stdout.write(`  [OK] ${changelogPath} updated\n`);
+    }
+  } catch (err) {
+    printError(err);
+    await exitWithRollback(1);
+  }
+
+  return changelogEntry;
+}
+
+function addChangelogLine(project, config, changelogEntry, line) {
+  const changelogPath = path.join(project.root, config.changelog.path);
+  const content = safeReadFile(changelogPath, config.changelog.path);
+  if (!content.includes(changelogEntry)) {
+    process.stdout.write(
+      `  [WARN] Could not find the new entry in ${config.changelog.path}, bundle size not added\n`,
+    );
+    return changelogEntry;
+  }
+
+  const entry = `${changelogEntry.trimEnd()}\n${line}\n`;
+  safeWriteFile(
+    changelogPath,
+    content.replace(changelogEntry, () => entry),
+    config.changelog.path,
+  );
+  process.stdout.write(
+    `  [OK] Added the bundle size to ${config.changelog.path}\n`,
+  );
+  return entry;
+}
+
+function readChangelogEntry(project, config, version) {
+  const changelogPath = path.join(project.root, config.changelog.path);
+  if (!fs.existsSync(changelogPath)) {
+    return null;
+  }
+
+  const content = safeReadFile(changelogPath, config.changelog.path);
+  const entry = content
+    .split(/^(?=## \[)/m)
+    .find((section) => section.startsWith(`## [${version}]`));
+  return entry ? `${entry.trimEnd()}\n` : null;
+}
+
+export {
+  generateCommitMessage,
+  buildOfflineNotes,
+  generateOfflineChangelog,
+  generateOfflineCommitMessage,
+  buildChangelogEntry,
+  writeChangelog,
+  addChangelogLine,
+  readChangelogEntry,
+};
@@ -0,0 +1,125 @@
+import { restoreSnapshot, undoCommit } from "./snapshot.js";
+import { getHooks, describeHook, runHook } from "./hooks.js";
+import { releaseState } from "./state.js";
+import { execCommand, deleteLocalTag } from "./git.js";
+import { askYesNo } from "./output.js";
+
+function rollbackTags() {
+  for (const tagName of releaseState.createdTags) {
+    try {
+      deleteLocalTag(tagName);
+      process.stdout.write(`  [ROLLBACK] Deleted local tag ${tagName}\n`);
+    } catch (err) {
+      process.stdout.write(
+        `  [WARN] Failed to delete tag ${tagName}: ${err.message}\n`,
+      );
+    }
+  }
+  releaseState.createdTags = [];
+}
+
+function rollbackBranch() {
+  if (!releaseState.createdBranch) {
+    return;
+  }
+
+  const { name, base } = releaseState.createdBranch;
+  if (releaseState.committed) {
+    process.stdout.write(`  TIP: The release commit is on branch ${name}\n`);
+    return;
+  }
+  try {
+    execCommand(`git checkout "${base}"`, { silent: true });
+    execCommand(`git branch -D "${name}"`, { silent: true });
+    releaseState.createdBranch = null;
+    process.stdout.write(
+      `  [ROLLBACK] Deleted branch ${name} and switched back to ${base}\n`,
+    );
+  } catch (err) {
+    process.stdout.write(
+      `  [WARN] Failed to remove branch ${name}: ${err.message}\n`,
+    );
+  }
+}
+
+async function rollbackFiles() {
+  if (!releaseState.snapshot) {
+    return;
+  }
+
+  if (releaseState.committed) {
+    const undo = await askYesNo(
+      "  The release commit was already created. Undo it? [y/N] ",
+    );
+    if (!undo) {
+      process.stdout.write(
+        "  [ROLLBACK] Kept the local release commit and its changes\n",
+      );
+      process.stdout.write(
+        `  TIP: Undo it later with 'git reset --soft ${releaseState.snapshot.head ? releaseState.snapshot.head.substring(0, 7) : "HEAD~1"}'\n`,
+      );
+      return;
+    }
+    try {
+      undoCommit(releaseState.snapshot);
+      releaseState.committed = false;
+      process.stdout.write("  [ROLLBACK] Undid the local release commit\n");
+    } catch (err) {
+      process.stdout.write(
+        `  [WARN] Failed to undo the release commit: ${err.message}\n`,
+      );
+      return;
+    }
+  }
+
+  const { restored, failed } = restoreSnapshot(releaseState.snapshot);
+  for (const file of restored) {
+    process.stdout.write(`  [ROLLBACK] Restored ${file}\n`);
+  }
+  for (const failure of failed) {
+    process.stdout.write(
+      `  [WARN] Failed to restore ${failure.path}: ${failure.message}\n`,
+    );
+  }
+  if (restored.length === 0 && failed.length === 0) {
+    process.stdout.write("  [ROLLBACK] No files needed restoring\n");
+  }
+}
+
+async function runFailureHooks() {
+  for (const { config, context } of releaseState.hookContexts) {
+    if (context.dryRun) continue;
+
+    for (const entry of getHooks(config.hooks, "onFailure")) {
+      process.stdout.write(
+        `  Running onFailure hook: ${describeHook(entry)}\n`,
+      );
+      try {
+        await runHook("onFailure", entry, {
+          ...context,
+          error: releaseState.error ? releaseState.error.message : "",
+        });
+      } catch (err) {
+        process.stdout.write(`  [WARN] ${err.message}\n`);
+      }
+    }
+  }
+}
+
+async function rollbackRelease() {
+  if (releaseState.rollbackStarted) {
+    return;
+  }
+  releaseState.rollbackStarted = true;
+  rollbackTags();
+  await rollbackFiles();
+  rollbackBranch();
+  await runFailureHooks();
+}
+
+async function exitWithRollback(code = 1) {
+  await rollbackRelease();
+  process.exit(code);
+}
+
+export { rollbackRelease, exitWithRollback };
@@ -0,0 +1,156 @@
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+
+const GIT_BUFFER = 256 * 1024 * 1024;
+
+function git(projectRoot, args) {
+  return execFileSync("git", args, {
+    cwd: projectRoot,
+    stdio: "pipe",
+    maxBuffer: GIT_BUFFER,
+  });
+}
+
+function tryGit(projectRoot, args) {
+  try {
+    return git(projectRoot, args);
+  } catch {
+    return null;
+  }
+}
+
+function splitNul(output) {
+  return output ? output.toString("utf-8").split("\0").filter(Boolean) : [];
+}
+
+function readOptional(filePath) {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "EISDIR") return null;
+    throw err;
+  }
+}
+
+function parseStatusPaths(output) {
+  const entries = splitNul(output);
+  const paths = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const status = entry.substring(0, 2);
+    paths.push(entry.substring(3));
+
+    if (status[0] === "R" || status[0] === "C") {
+      paths.push(entries[i + 1]);
+      i++;
+    }
+  }
+
+  return paths;
+}
+
+function createSnapshot(projectRoot) {
+  const headOutput = tryGit(projectRoot, ["rev-parse", "--verify", "HEAD"]);
+  const indexOutput = tryGit(projectRoot, ["write-tree"]);
+  const files = new Map();
+
+  const status = git(projectRoot, [
+    "status",
+    "--porcelain",
+    "-z",
+    "--untracked-files=all",
+  ]);
+
+  for (const file of parseStatusPaths(status)) {
+    files.set(file, readOptional(path.join(projectRoot, file)));
+  }
+
+  return {
+    projectRoot,
+    head: headOutput ? headOutput.toString("utf-8").trim() : null,
+    indexTree: indexOutput ? indexOutput.toString("utf-8").trim() : null,
+    files,
+  };
+}
+
+function getOriginalContent(snapshot, file) {
+  if (snapshot.files.has(file)) {
+    return snapshot.files.get(file);
+  }
+  if (!snapshot.head) {
+    return null;
+  }
+  return tryGit(snapshot.projectRoot, ["show", `${snapshot.head}:${file}`]);
+}
+
+function getTouchedPaths(snapshot) {
+  const { projectRoot, head } = snapshot;
+  const paths = new Set(snapshot.files.keys());
+
+  const tracked = head
+    ? tryGit(projectRoot, ["diff", "--name-only", "--no-renames", "-z", head])
+    : tryGit(projectRoot, ["ls-files", "-z"]);
+  const untracked = tryGit(projectRoot, [
+    "ls-files",
+    "--others",
+    "--exclude-standard",
+    "-z",
+  ]);
+
+  for (const file of [...splitNul(tracked), ...splitNul(untracked)]) {
+    paths.add(file);
+  }
+
+  return [...paths];
+}
+
+function restoreSnapshot(snapshot) {
+  const restored = [];
+  const failed = [];
+
+  for (const file of getTouchedPaths(snapshot)) {
+    const fullPath = path.join(snapshot.projectRoot, file);
+
+    try {
+      const original = getOriginalContent(snapshot, file);
+      const current = readOptional(fullPath);
+
+      if (original === null && current === null) continue;
+      if (original !== null && current !== null && original.equals(current)) {
+        continue;
+      }
+
+      if (original === null) {
+        fs.unlinkSync(fullPath);
+      } else {
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, original);
+      }
+      restored.push(file);
+    } catch (err) {
+      failed.push({ path: file, message: err.message });
+    }
+  }
+
+  if (snapshot.indexTree) {
+    try {
+      git(snapshot.projectRoot, ["read-tree", snapshot.indexTree]);
+    } catch (err) {
+      failed.push({ path: "(git index)", message: err.message });
+    }
+  }
+
+  return { restored, failed };
+}
+
+function undoCommit(snapshot) {
+  if (snapshot.head) {
+    git(snapshot.projectRoot, ["reset", "--soft", snapshot.head]);
+  } else {
+    git(snapshot.projectRoot, ["update-ref", "-d", "HEAD"]);
+  }
+}
+
+export { createSnapshot, restoreSnapshot, undoCommit };
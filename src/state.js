@@ -0,0 +1,13 @@
+const releaseState = {
+  command: "release",
+  snapshot: null,
+  committed: false,
+  rollbackStarted: false,
+  createdTags: [],
+  hookContexts: [],
+  error: null,
+  createdBranch: null,
+  forge: null,
+};
+
+export { releaseState };
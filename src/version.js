@@ -0,0 +1,291 @@
+import { TurlError, ErrorCodes } from "./errors.js";
+
+const SEMVER_PATTERN =
+  /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+const LEGACY_PATTERN = /^(\d+)\.(\d+)$/;
+const PREID_PATTERN = /^[A-Za-z][0-9A-Za-z-]*$/;
+
+const BUMP_LEVELS = ["major", "minor", "patch"];
+
+const CONVENTIONAL_PATTERN = /^(\w+)(?:\([^)]*\))?(!)?:\s/;
+const BREAKING_FOOTER_PATTERN = /^BREAKING[ -]CHANGE:/m;
+const MINOR_TYPES = ["feat"];
+
+function parseVersion(version) {
+  const value = String(version).trim().replace(/^v/, "");
+
+  const match = value.match(SEMVER_PATTERN);
+  if (match) {
+    return {
+      major: parseInt(match[1], 10),
+      minor: parseInt(match[2], 10),
+      patch: parseInt(match[3], 10),
+      prerelease: match[4] ? match[4].split(".") : [],
+      legacy: false,
+    };
+  }
+
+  const legacyMatch = value.match(LEGACY_PATTERN);
+  if (legacyMatch) {
+    return {
+      major: parseInt(legacyMatch[1], 10),
+      minor: parseInt(legacyMatch[2], 10),
+      patch: 0,
+      prerelease: [],
+      legacy: true,
+    };
+  }
+
+  throw new TurlError(
+    `Invalid version "${version}". Expected MAJOR.MINOR.PATCH (e.g. 1.4.0 or 1.4.0-rc.1)`,
+    ErrorCodes.VERSION_INVALID,
+    {
+      version,
+      suggestion:
+        "Set a version like 1.4.0 in turl.json or on the command line",
+    },
+  );
+}
+
+function formatVersion(parsed) {
+  const base = `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+  return parsed.prerelease && parsed.prerelease.length > 0
+    ? `${base}-${parsed.prerelease.join(".")}`
+    : base;
+}
+
+function isPrerelease(version) {
+  return parseVersion(version).prerelease.length > 0;
+}
+
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+
+  if (aNumeric && bNumeric) {
+    return Math.sign(parseInt(a, 10) - parseInt(b, 10));
+  }
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareVersions(a, b) {
+  const left = typeof a === "string" ? parseVersion(a) : a;
+  const right = typeof b === "string" ? parseVersion(b) : b;
+
+  for (const key of ["major", "minor", "patch"]) {
+    if (left[key] !== right[key]) {
+      return left[key] > right[key] ? 1 : -1;
+    }
+  }
+
+  const leftPre = left.prerelease || [];
+  const rightPre = right.prerelease || [];
+
+  if (leftPre.length === 0 || rightPre.length === 0) {
+    return Math.sign(rightPre.length - leftPre.length);
+  }
+
+  for (let i = 0; i < Math.max(leftPre.length, rightPre.length); i++) {
+    if (leftPre[i] === undefined) return -1;
+    if (rightPre[i] === undefined) return 1;
+    const result = compareIdentifiers(leftPre[i], rightPre[i]);
+    if (result !== 0) return result;
+  }
+
+  return 0;
+}
+
+function incrementBase(parsed, level) {
+  if (level === "major") {
+    return { major: parsed.major + 1, minor: 0, patch: 0, prerelease: [] };
+  }
+  if (level === "minor") {
+    return {
+      major: parsed.major,
+      minor: parsed.minor + 1,
+      patch: 0,
+      prerelease: [],
+    };
+  }
+  if (level === "patch") {
+    return {
+      major: parsed.major,
+      minor: parsed.minor,
+      patch: parsed.patch + 1,
+      prerelease: [],
+    };
+  }
+
+  throw new TurlError(
+    `Unknown bump level "${level}"`,
+    ErrorCodes.VERSION_INVALID,
+    { level, suggestion: `Use one of: ${BUMP_LEVELS.join(", ")}` },
+  );
+}
+
+function bumpVersion(version, level) {
+  const parsed = parseVersion(version);
+
+  if (parsed.prerelease.length > 0) {
+    const stable = { ...parsed, prerelease: [] };
+    if (
+      level === "patch" ||
+      (level === "minor" && parsed.patch === 0) ||
+      (level === "major" && parsed.minor === 0 && parsed.patch === 0)
+    ) {
+      return formatVersion(stable);
+    }
+  }
+
+  return formatVersion(incrementBase(parsed, level));
+}
+
+function bumpPrerelease(current, preid, level) {
+  if (!PREID_PATTERN.test(preid)) {
+    throw new TurlError(
+      `Invalid pre-release id "${preid}"`,
+      ErrorCodes.VERSION_INVALID,
+      {
+        preid,
+        suggestion: "Use a name such as alpha, beta or rc",
+      },
+    );
+  }
+
+  const [channel, counter] = current.prerelease;
+
+  if (channel === preid && !level) {
+    const next = /^\d+$/.test(counter || "") ? parseInt(counter, 10) + 1 : 1;
+    return { ...current, prerelease: [preid, String(next)] };
+  }
+
+  const base =
+    current.prerelease.length > 0 && !level
+      ? current
+      : incrementBase(current, level || "minor");
+  const next = { ...base, prerelease: [preid, "1"] };
+
+  if (compareVersions(next, current) <= 0) {
+    throw new TurlError(
+      `Pre-release ${formatVersion(next)} would not be greater than the current version ${formatVersion(current)}`,
+      ErrorCodes.VERSION_INVALID,
+      {
+        suggestion:
+          "Pre-release channels go alpha -> beta -> rc. Pass a bump flag to start a new version",
+      },
+    );
+  }
+
+  return next;
+}
+
+function resolveNextVersion(currentVersion, options = {}) {
+  const current = parseVersion(currentVersion);
+  const migratedFrom = current.legacy ? String(currentVersion) : null;
+
+  if (options.version) {
+    const explicit = parseVersion(options.version);
+    if (explicit.legacy) {
+      throw new TurlError(
+        `Explicit version "${options.version}" must have three parts (MAJOR.MINOR.PATCH)`,
+        ErrorCodes.VERSION_INVALID,
+        { version: options.version },
+      );
+    }
+    if (compareVersions(explicit, current) <= 0) {
+      throw new TurlError(
+        `Explicit version ${formatVersion(explicit)} must be greater than the current version ${formatVersion(current)}`,
+        ErrorCodes.VERSION_INVALID,
+        { version: options.version, current: currentVersion },
+      );
+    }
+    return {
+      version: formatVersion(explicit),
+      level: "explicit",
+      migratedFrom,
+    };
+  }
+
+  if (options.promote) {
+    if (current.prerelease.length === 0) {
+      throw new TurlError(
+        `Version ${formatVersion(current)} is not a pre-release, nothing to promote`,
+        ErrorCodes.VERSION_INVALID,
+        { current: currentVersion },
+      );
+    }
+    return {
+      version: formatVersion({ ...current, prerelease: [] }),
+      level: "promote",
+      migratedFrom,
+    };
+  }
+
+  if (options.preid) {
+    const next = bumpPrerelease(
+      current,
+      options.preid,
+      options.bump || (current.prerelease.length > 0 ? null : options.autoBump),
+    );
+    return {
+      version: formatVersion(next),
+      level: "prerelease",
+      migratedFrom,
+    };
+  }
+
+  const level = options.bump || options.autoBump || "minor";
+  return {
+    version: bumpVersion(formatVersion(current), level),
+    level,
+    migratedFrom,
+  };
+}
+
+function classifyCommit(commit) {
+  const match = commit.subject.match(CONVENTIONAL_PATTERN);
+
+  if ((match && match[2]) || BREAKING_FOOTER_PATTERN.test(commit.body || "")) {
+    return "major";
+  }
+
+  if (match && MINOR_TYPES.includes(match[1].toLowerCase())) {
+    return "minor";
+  }
+
+  return "patch";
+}
+
+function determineBump(commits) {
+  if (commits.length === 0) {
+    return { level: null, commits: [] };
+  }
+
+  const classified = commits.map((commit) => ({
+    ...commit,
+    level: classifyCommit(commit),
+  }));
+
+  const level = BUMP_LEVELS.find((candidate) =>
+    classified.some((commit) => commit.level === candidate),
+  );
+
+  return {
+    level,
+    commits: classified.filter((commit) => commit.level === level),
+  };
+}
+
+export {
+  BUMP_LEVELS,
+  parseVersion,
+  formatVersion,
+  isPrerelease,
+  compareVersions,
+  bumpVersion,
+  resolveNextVersion,
+  classifyCommit,
+  determineBump,
+};
@@ -0,0 +1,210 @@
+import fs from "fs";
+import path from "path";
+import { TurlError, ErrorCodes } from "./errors.js";
+import { parseVersion, formatVersion } from "./version.js";
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+function getVersionTargets(repoRoot, project, extraFiles = []) {
+  const targets = [
+    {
+      fullPath: path.join(project.root, "package.json"),
+      keys: [["version"]],
+      create: true,
+      required: false,
+    },
+  ];
+
+  if (project.workspace) {
+    targets.push({
+      fullPath: path.join(repoRoot, "package-lock.json"),
+      keys: [["packages", project.dir, "version"]],
+      create: false,
+      required: false,
+    });
+  } else {
+    targets.push({
+      fullPath: path.join(project.root, "package-lock.json"),
+      keys: [["version"], ["packages", "", "version"]],
+      create: false,
+      required: false,
+    });
+  }
+
+  for (const entry of extraFiles) {
+    const file = typeof entry === "string" ? entry : entry.path;
+    const key = typeof entry === "string" ? "version" : entry.key || "version";
+    targets.push({
+      fullPath: path.join(project.root, file),
+      keys: [key.split(".")],
+      create: false,
+      required: true,
+    });
+  }
+
+  return targets.map((target) => ({
+    ...target,
+    file: toPosix(path.relative(repoRoot, target.fullPath)),
+  }));
+}
+
+function getKey(data, keys) {
+  let value = data;
+  for (const key of keys) {
+    if (!value || typeof value !== "object" || !(key in value)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+function setKey(data, keys, value) {
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function readJsonFile(target) {
+  let content;
+  try {
+    content = fs.readFileSync(target.fullPath, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new TurlError(
+      `Failed to read ${target.file}: ${err.message}`,
+      ErrorCodes.FILE_READ_ERROR,
+      { path: target.fullPath, originalError: err.message },
+    );
+  }
+
+  try {
+    return { content, data: JSON.parse(content) };
+  } catch (err) {
+    throw new TurlError(
+      `Invalid JSON in ${target.file}: ${err.message}`,
+      ErrorCodes.VERSION_JSON_INVALID,
+      { path: target.fullPath, suggestion: "Fix the JSON syntax in the file" },
+    );
+  }
+}
+
+function readVersionFiles(targets) {
+  return targets.map((target) => {
+    const json = readJsonFile(target);
+    if (!json) {
+      return { ...target, exists: false, version: undefined };
+    }
+
+    const key = target.keys.find(
+      (keys) => getKey(json.data, keys) !== undefined,
+    );
+    return {
+      ...target,
+      exists: true,
+      version: key ? String(getKey(json.data, key)) : undefined,
+    };
+  });
+}
+
+function normalizeVersion(version) {
+  try {
+    return formatVersion(parseVersion(version));
+  } catch {
+    return version;
+  }
+}
+
+function findVersionMismatches(files, version) {
+  const expected = normalizeVersion(version);
+  return files.filter(
+    (file) =>
+      file.exists &&
+      file.version !== undefined &&
+      normalizeVersion(file.version) !== expected,
+  );
+}
+
+function detectIndent(content) {
+  const match = content.match(/^[\t ]+(?=")/m);
+  return match ? match[0] : 2;
+}
+
+function writeVersionFiles(targets, version) {
+  const written = [];
+
+  for (const target of targets) {
+    const json = readJsonFile(target);
+
+    if (!json) {
+      if (target.required) {
+        throw new TurlError(
+          `Version file ${target.file} not found`,
+          ErrorCodes.FILE_READ_ERROR,
+          {
+            path: target.fullPath,
+            suggestion:
+              'Fix or remove the entry in "versionFiles" in turl.json',
+          },
+        );
+      }
+      continue;
+    }
+
+    const keys = target.keys.filter(
+      (key) => getKey(json.data, key) !== undefined,
+    );
+    if (keys.length === 0 && target.create) {
+      keys.push(target.keys[0]);
+    }
+    if (keys.length === 0) {
+      if (target.required) {
+        throw new TurlError(
+          `${target.file} has no "${target.keys[0].join(".")}" field`,
+          ErrorCodes.VERSION_JSON_INVALID,
+          {
+            path: target.fullPath,
+            suggestion:
+              'Set "key" for this file in "versionFiles" in turl.json',
+          },
+        );
+      }
+      continue;
+    }
+
+    for (const key of keys) {
+      setKey(json.data, key, version);
+    }
+
+    const trailingNewline = json.content.endsWith("\n") ? "\n" : "";
+    const content =
+      JSON.stringify(json.data, null, detectIndent(json.content)) +
+      trailingNewline;
+
+    if (content === json.content) continue;
+
+    try {
+      fs.writeFileSync(target.fullPath, content, "utf-8");
+    } catch (err) {
+      throw new TurlError(
+        `Failed to write ${target.file}: ${err.message}`,
+        ErrorCodes.FILE_WRITE_ERROR,
+        { path: target.fullPath, originalError: err.message },
+      );
+    }
+    written.push(target.file);
+  }
+
+  return written;
+}
+
+export {
+  getVersionTargets,
+  readVersionFiles,
+  findVersionMismatches,
+  writeVersionFiles,
+};
@@ -0,0 +1,189 @@
+import fs from "fs";
+import path from "path";
+import { TurlError, ErrorCodes } from "./errors.js";
+
+const IGNORED_DIRS = ["node_modules", ".git"];
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new TurlError(
+      `Failed to read ${filePath}: ${err.message}`,
+      ErrorCodes.FILE_READ_ERROR,
+      { path: filePath, originalError: err.message },
+    );
+  }
+}
+
+function parsePnpmWorkspace(content) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const rawLine of content.split("\n")) {
+    const line = rawLine.replace(/\s+#.*$/, "").trimEnd();
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      continue;
+    }
+
+    const match = line.match(/^\s+-\s*(['"]?)(.+)\1$/);
+    if (inPackages && match) {
+      patterns.push(match[2]);
+    }
+  }
+
+  return patterns;
+}
+
+function readWorkspacePatterns(root) {
+  const packageJson = readJson(path.join(root, "package.json"));
+  if (packageJson && packageJson.workspaces) {
+    const workspaces = Array.isArray(packageJson.workspaces)
+      ? packageJson.workspaces
+      : packageJson.workspaces.packages;
+    if (Array.isArray(workspaces)) {
+      return workspaces;
+    }
+  }
+
+  const pnpmPath = path.join(root, "pnpm-workspace.yaml");
+  if (fs.existsSync(pnpmPath)) {
+    return parsePnpmWorkspace(fs.readFileSync(pnpmPath, "utf-8"));
+  }
+
+  return null;
+}
+
+function listDirs(dir) {
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter(
+        (entry) =>
+          entry.isDirectory() &&
+          !entry.name.startsWith(".") &&
+          !IGNORED_DIRS.includes(entry.name),
+      )
+      .map((entry) => entry.name);
+  } catch {
+    return [];
+  }
+}
+
+function segmentToRegex(segment) {
+  const escaped = segment
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/]*");
+  return new RegExp(`^${escaped}$`);
+}
+
+function expandPattern(root, pattern) {
+  const segments = pattern
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "")
+    .split("/")
+    .filter(Boolean);
+  let matches = [""];
+
+  for (const segment of segments) {
+    const next = [];
+
+    for (const match of matches) {
+      const dir = path.join(root, match);
+
+      if (segment === "**") {
+        const stack = [match];
+        while (stack.length > 0) {
+          const current = stack.pop();
+          next.push(current);
+          for (const name of listDirs(path.join(root, current))) {
+            stack.push(current ? `${current}/${name}` : name);
+          }
+        }
+      } else if (segment.includes("*")) {
+        const regex = segmentToRegex(segment);
+        for (const name of listDirs(dir)) {
+          if (regex.test(name)) {
+            next.push(match ? `${match}/${name}` : name);
+          }
+        }
+      } else if (fs.existsSync(path.join(dir, segment))) {
+        next.push(match ? `${match}/${segment}` : segment);
+      }
+    }
+
+    matches = next;
+  }
+
+  return matches.filter(Boolean);
+}
+
+function findWorkspacePackages(root) {
+  const patterns = readWorkspacePatterns(root);
+  if (!patterns) {
+    return null;
+  }
+
+  const included = new Set();
+  const excluded = new Set();
+
+  for (const pattern of patterns) {
+    if (typeof pattern !== "string") continue;
+    if (pattern.startsWith("!")) {
+      for (const dir of expandPattern(root, pattern.substring(1))) {
+        excluded.add(dir);
+      }
+    } else {
+      for (const dir of expandPattern(root, pattern)) {
+        included.add(dir);
+      }
+    }
+  }
+
+  const packages = [];
+  for (const dir of [...included].sort()) {
+    if (excluded.has(dir)) continue;
+
+    const packageRoot = path.join(root, dir);
+    const packageJson = readJson(path.join(packageRoot, "package.json"));
+    if (!packageJson) continue;
+
+    packages.push({
+      name: packageJson.name || path.basename(dir),
+      dir,
+      root: packageRoot,
+      workspace: true,
+    });
+  }
+
+  return packages;
+}
+
+function selectPackages(packages, names) {
+  if (!names || names.length === 0) {
+    return packages;
+  }
+
+  return names.map((name) => {
+    const match = packages.find(
+      (pkg) => pkg.name === name || pkg.dir === name.replace(/^\.\//, ""),
+    );
+    if (!match) {
+      throw new TurlError(
+        `Workspace package "${name}" not found`,
+        ErrorCodes.INVALID_ARGUMENTS,
+        {
+          suggestion: `Use one of: ${packages.map((pkg) => pkg.name).join(", ")}`,
+        },
+      );
+    }
+    return match;
+  });
+}
+
+export { findWorkspacePackages, selectPackages };
@@ -0,0 +1,125 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  collectAssetReferences,
+  createAssetMatcher,
+} from "../src/assetCleanup.js";
+import { run as runCleanup } from "../src/cleanup.js";
+
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function matcherFor(content) {
+  return createAssetMatcher(
+    collectAssetReferences(content, { paths: new Set(), patterns: new Set() }),
+  );
+}
+
+function createProject() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "turl-assets-"));
+  tempDirs.push(root);
+  const files = {
+    "src/main.jsx": [
+      'import logo from "./assets/logo.png";',
+      "export const icon = (name) => `/icons/${name}.svg`;",
+    ].join("\n"),
+    "public/index.html": '<link rel="icon" href="%PUBLIC_URL%/favicon.ico">',
+    "src/assets/logo.png": "png",
+    "src/assets/old.png": "old",
+    "src/assets/email-header.png": "email",
+    "public/icons/home.svg": "<svg/>",
+    "public/favicon.ico": "ico",
+    "public/downloads/guide.pdf": "pdf",
+  };
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return root;
+}
+
+function cleanupOptions(options) {
+  return { consoleLogs: false, unusedCss: false, deadCode: false, ...options };
+}
+
+describe("createAssetMatcher", () => {
+  it("matches references by the end of the path", () => {
+    const isReferenced = matcherFor(
+      'import a from "../assets/a.png";\nurl(/img/b.webp)\nsrc="@/assets/c.svg"',
+    );
+    assert.equal(isReferenced("src/assets/a.png"), true);
+    assert.equal(isReferenced("public/img/b.webp"), true);
+    assert.equal(isReferenced("src/assets/c.svg"), true);
+    assert.equal(isReferenced("src/other/a.png"), false);
+  });
+
+  it("treats template literals as wildcards", () => {
+    const isReferenced = matcherFor("const src = `/flags/${code}.png`;");
+    assert.equal(isReferenced("public/flags/de.png"), true);
+    assert.equal(isReferenced("public/flags/nested/de.png"), false);
+    assert.equal(isReferenced("public/other/de.png"), false);
+  });
+});
+
+describe("unused assets", () => {
+  it("reports assets nothing refers to, except kept ones", async () => {
+    const root = createProject();
+    const stats = await runCleanup(
+      root,
+      cleanupOptions({
+        keepAssets: ["public/downloads/", "src/assets/email-header.png"],
+      }),
+    );
+    assert.deepEqual(
+      stats.unusedAssets.map((asset) => asset.path),
+      ["src/assets/old.png"],
+    );
+    assert.equal(stats.unusedAssets[0].size, 3);
+    assert.equal(stats.assetsRemoved, 0);
+    assert.ok(fs.existsSync(path.join(root, "src/assets/old.png")));
+  });
+
+  it("reports every unreferenced asset without keepAssets", async () => {
+    const root = createProject();
+    const stats = await runCleanup(root, cleanupOptions({}));
+    assert.deepEqual(stats.unusedAssets.map((asset) => asset.path).sort(), [
+      "public/downloads/guide.pdf",
+      "src/assets/email-header.png",
+      "src/assets/old.png",
+    ]);
+  });
+
+  it("deletes them in delete mode unless it is a dry run", async () => {
+    const root = createProject();
+    const options = cleanupOptions({
+      unusedAssets: "delete",
+      keepAssets: ["public/downloads/", "src/assets/email-header.png"],
+    });
+
+    const dryRun = await runCleanup(root, { ...options, dryRun: true });
+    assert.equal(dryRun.assetsRemoved, 1);
+    assert.ok(fs.existsSync(path.join(root, "src/assets/old.png")));
+
+    const stats = await runCleanup(root, options);
+    assert.equal(stats.assetsRemoved, 1);
+    assert.equal(fs.existsSync(path.join(root, "src/assets/old.png")), false);
+    assert.ok(fs.existsSync(path.join(root, "src/assets/logo.png")));
+  });
+
+  it("can be turned off", async () => {
+    const root = createProject();
+    const stats = await runCleanup(
+      root,
+      cleanupOptions({ unusedAssets: false }),
+    );
+    assert.deepEqual(stats.unusedAssets, []);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  SIZE_PATTERN,
+  measureBundle,
+  findPreviousRelease,
+  addRelease,
+  compareBundles,
+  checkBudget,
+} from "../src/bundleSize.js";
+import { checkBundleBudget } from "../src/buildOutput.js";
+import { ErrorCodes } from "../src/errors.js";
+
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function createOutput(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "turl-bundle-"));
+  tempDirs.push(dir);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+function bundle(total, chunks = {}) {
+  return { total, gzip: total / 2, brotli: total / 4, chunks };
+}
+
+describe("measureBundle", () => {
+  it("sums the files and groups chunks without their hash", () => {
+    const dir = createOutput({
+      "index.html": "<html></html>",
+      "assets/index-a1B2c3D4.js": "x".repeat(1000),
+      "assets/index-a1B2c3D4.js.map": "{}",
+      "assets/settings.js": "s",
+      "static/js/main.1a2b3c4d.chunk.js": "m",
+      "assets/logo.png": "png",
+    });
+    const result = measureBundle(dir);
+
+    assert.equal(result.total, 13 + 1000 + 1 + 1 + 3);
+    assert.ok(result.gzip < result.total);
+    assert.deepEqual(Object.keys(result.chunks).sort(), [
+      "assets/index.js",
+      "assets/settings.js",
+      "static/js/main.chunk.js",
+    ]);
+    assert.equal(result.chunks["assets/index.js"].size, 1000);
+  });
+});
+
+describe("checkBudget", () => {
+  it("reads sizes with units", () => {
+    for (const value of ["250 KB", "1.5MB", "900 b", "12kb"]) {
+      assert.match(value, SIZE_PATTERN);
+    }
+    assert.doesNotMatch("250 kilobytes", SIZE_PATTERN);
+
+    const exceeded = checkBudget(bundle(256001), { total: "250 KB" });
+    assert.deepEqual(exceeded, [
+      { name: "total", size: 256001, limit: 256000 },
+    ]);
+    assert.deepEqual(checkBudget(bundle(256000), { total: "250 KB" }), []);
+    assert.deepEqual(checkBudget(bundle(2000), { gzip: "1.5 MB" }), []);
+  });
+
+  it("checks every chunk against the chunk limit", () => {
+    const sizes = bundle(3000, {
+      "index.js": { size: 2000 },
+      "vendor.js": { size: 1000 },
+    });
+    assert.deepEqual(checkBudget(sizes, { chunk: 1500, brotli: 700 }), [
+      { name: "brotli", size: 750, limit: 700 },
+      { name: "index.js", size: 2000, limit: 1500 },
+    ]);
+  });
+
+  it("fails the build with the sizes over budget", () => {
+    const config = { bundleSize: { budget: { total: "1 KB" } } };
+    const err = checkBundleBudget(config, bundle(2048));
+    assert.equal(err.code, ErrorCodes.BUNDLE_BUDGET_EXCEEDED);
+    assert.match(err.message, /total 2\.0 KB > 1\.0 KB/);
+    assert.equal(checkBundleBudget(config, bundle(1024)), null);
+  });
+});
+
+describe("compareBundles", () => {
+  it("compares with the latest other release", () => {
+    let history = { releases: [] };
+    history = addRelease(
+      history,
+      "1.0.0",
+      "2026-01-01",
+      bundle(1000, { "a.js": { size: 600 }, "b.js": { size: 400 } }),
+    );
+    history = addRelease(history, "1.1.0", "2026-02-01", bundle(1200));
+    history = addRelease(
+      history,
+      "1.1.0",
+      "2026-02-02",
+      bundle(1100, { "a.js": { size: 700 } }),
+    );
+    assert.deepEqual(
+      history.releases.map((release) => release.version),
+      ["1.0.0", "1.1.0"],
+    );
+
+    const previous = findPreviousRelease(history, "1.1.0");
+    assert.equal(previous.version, "1.0.0");
+    const comparison = compareBundles(history.releases[1], previous);
+    assert.equal(comparison.total, 100);
+    assert.deepEqual(comparison.chunks, [
+      { name: "a.js", size: 700, change: 100 },
+    ]);
+    assert.deepEqual(comparison.removed, ["b.js"]);
+    assert.equal(compareBundles(bundle(10), null).total, null);
+  });
+});
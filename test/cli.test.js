@@ -0,0 +1,82 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseArgs } from "../src/cli.js";
+import { ErrorCodes } from "../src/errors.js";
+
+function argumentError(argv) {
+  try {
+    parseArgs(argv);
+  } catch (err) {
+    assert.equal(err.code, ErrorCodes.INVALID_ARGUMENTS);
+    return err;
+  }
+  return assert.fail("expected the arguments to be rejected");
+}
+
+describe("parseArgs", () => {
+  it("reads the command and its options", () => {
+    const options = parseArgs([
+      "release",
+      "--branch",
+      "develop",
+      "--minor",
+      "--package=web",
+      "-p",
+      "admin",
+      "--dry-run",
+    ]);
+    assert.equal(options.command, "release");
+    assert.equal(options.branch, "develop");
+    assert.equal(options.bump, "minor");
+    assert.deepEqual(options.packages, ["web", "admin"]);
+    assert.equal(options.dryRun, true);
+  });
+
+  it("defaults to the release command", () => {
+    assert.equal(parseArgs([]).command, "release");
+    assert.equal(parseArgs(["--preid", "rc"]).preid, "rc");
+  });
+
+  it("rejects unknown arguments", () => {
+    assert.match(
+      argumentError(["--dryrun"]).message,
+      /Unknown argument "--dryrun"/,
+    );
+    assert.match(
+      argumentError(["bump", "minor"]).message,
+      /Unknown argument "minor"/,
+    );
+    assert.match(argumentError(["deploy"]).message, /Unknown command "deploy"/);
+  });
+
+  it("rejects options the command does not take", () => {
+    assert.match(
+      argumentError(["status", "--dry-run"]).message,
+      /--dry-run cannot be used with the status command/,
+    );
+  });
+
+  it("rejects a missing value", () => {
+    assert.match(argumentError(["--branch"]).message, /--branch requires/);
+    assert.match(argumentError(["--version="]).message, /--version requires/);
+  });
+
+  it("does not take another option as the value", () => {
+    assert.match(
+      argumentError(["--branch", "--dry-run"]).message,
+      /--branch requires/,
+    );
+    assert.match(
+      argumentError(["--preid", "--minor"]).message,
+      /--preid requires/,
+    );
+    assert.match(
+      argumentError(["--version=--patch"]).message,
+      /--version requires/,
+    );
+    assert.match(
+      argumentError(["bump", "--package", "--dry-run"]).message,
+      /--package requires/,
+    );
+  });
+});
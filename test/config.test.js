@@ -0,0 +1,134 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validateConfig, resolveConfig } from "../src/config.js";
+import { ErrorCodes } from "../src/errors.js";
+
+const DEFAULTS = {
+  version: "0.0.0",
+  projectName: "app",
+  branch: "main",
+  tagFormat: "v{version}",
+};
+
+function validationError(config) {
+  try {
+    validateConfig(config, "turl.json");
+  } catch (err) {
+    assert.equal(err.code, ErrorCodes.CONFIG_INVALID);
+    return err;
+  }
+  return assert.fail("expected the config to be rejected");
+}
+
+describe("validateConfig", () => {
+  it("accepts a full config", () => {
+    const config = {
+      version: "1.0.0",
+      tagFormat: "release-{version}",
+      ai: false,
+      commands: { build: "vite build", test: false },
+      cleanup: {
+        strip: ["console.debug", "alert"],
+        unusedAssets: "delete",
+        safelist: { patterns: ["^is-"] },
+      },
+      bundleSize: { history: false, budget: { total: "250 KB", chunk: 50000 } },
+      releaseBranch: { forge: { type: "gitlab" } },
+      hooks: { afterBuild: ["npm run icons", { module: "./hooks.js" }] },
+      versionFiles: ["app.json", { path: "manifest.json", key: "meta.ver" }],
+    };
+    assert.equal(validateConfig(config, "turl.json"), config);
+  });
+
+  it("rejects a non-object file", () => {
+    assert.match(validationError([]).message, /must contain a JSON object/);
+  });
+
+  it("names unknown fields and lists the valid ones", () => {
+    const err = validationError({ cleanup: { unusedCSS: true } });
+    assert.equal(err.details.field, "cleanup.unusedCSS");
+    assert.match(err.details.suggestion, /unusedCss/);
+  });
+
+  it("reports the field and the wrong type", () => {
+    const err = validationError({ push: "yes" });
+    assert.equal(err.details.field, "push");
+    assert.match(err.message, /"push" must be a boolean, got string/);
+  });
+
+  it("checks nested values", () => {
+    assert.equal(
+      validationError({ cleanup: { strip: ["console.log()"] } }).details.field,
+      "cleanup.strip[0]",
+    );
+    assert.equal(
+      validationError({ bundleSize: { budget: { total: "big" } } }).details
+        .field,
+      "bundleSize",
+    );
+    assert.equal(
+      validationError({ tagFormat: "v1" }).details.field,
+      "tagFormat",
+    );
+    assert.equal(
+      validationError({ cleanup: { safelist: { patterns: ["("] } } }).details
+        .field,
+      "cleanup.safelist.patterns[0]",
+    );
+    assert.equal(
+      validationError({ versionFiles: [{ key: "version" }] }).details.field,
+      "versionFiles[0]",
+    );
+  });
+});
+
+describe("resolveConfig", () => {
+  it("fills in defaults", () => {
+    const config = resolveConfig({}, DEFAULTS);
+    assert.equal(config.version, "0.0.0");
+    assert.equal(config.remote, "origin");
+    assert.equal(config.commands.test, null);
+    assert.equal(config.cleanup.unusedCss, true);
+    assert.deepEqual(config.cleanup.safelist, {
+      classes: [],
+      prefixes: [],
+      patterns: [],
+    });
+    assert.deepEqual(config.changelog, {
+      path: "CHANGELOG.md",
+      prereleases: "separate",
+    });
+    assert.deepEqual(config.bundleSize, {
+      history: ".turl/bundle-size.json",
+      changelog: false,
+      budget: {},
+    });
+    assert.equal(config.push, true);
+    assert.equal(config.releaseBranch.enabled, false);
+  });
+
+  it("keeps explicit values", () => {
+    const config = resolveConfig(
+      {
+        version: 2,
+        commands: { build: false },
+        cleanup: { consoleLogs: false, safelist: { classes: ["open"] } },
+        buildOutput: false,
+        bundleSize: { history: false },
+        push: false,
+        releaseBranch: { name: "rel/{version}" },
+      },
+      DEFAULTS,
+    );
+    assert.equal(config.version, "2");
+    assert.equal(config.commands.build, false);
+    assert.equal(config.cleanup.consoleLogs, false);
+    assert.equal(config.cleanup.unusedCss, true);
+    assert.deepEqual(config.cleanup.safelist.classes, ["open"]);
+    assert.equal(config.buildOutput, false);
+    assert.equal(config.bundleSize.history, false);
+    assert.equal(config.push, false);
+    assert.equal(config.releaseBranch.enabled, true);
+    assert.equal(config.releaseBranch.name, "rel/{version}");
+  });
+});
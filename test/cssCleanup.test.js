@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseStylesheet,
+  collectStylesheetUsage,
+  removeUnusedRules,
+} from "../src/cssCleanup.js";
+
+function prune(content, file, used) {
+  const sheet = parseStylesheet(content, file);
+  const usage = collectStylesheetUsage(sheet.root);
+  return removeUnusedRules(
+    sheet,
+    (className) => used.includes(className) || usage.has(className),
+  );
+}
+
+describe("removeUnusedRules", () => {
+  it("removes unused rules and keeps used ones", () => {
+    const result = prune(
+      ".btn { color: red; }\n.gone { color: blue; }\ndiv { margin: 0; }\n",
+      "app.css",
+      ["btn"],
+    );
+    assert.equal(result.content, ".btn { color: red; }\ndiv { margin: 0; }\n");
+    assert.deepEqual(result.removed, ["gone"]);
+  });
+
+  it("drops only the unused selectors of a group", () => {
+    const result = prune(".btn, .gone { color: red; }", "app.css", ["btn"]);
+    assert.equal(result.content, ".btn { color: red; }");
+    assert.deepEqual(result.removed, ["gone"]);
+  });
+
+  it("keeps a rule when any class in the selector is used", () => {
+    const content = ".card .btn:not(.gone) { color: red; }";
+    assert.equal(prune(content, "app.css", ["btn"]).content, content);
+  });
+
+  it("removes empty media queries but never keyframes", () => {
+    const result = prune(
+      "@media (min-width: 1px) { .gone { a: b; } }\n@keyframes spin { from { a: b; } }",
+      "app.css",
+      [],
+    );
+    assert.equal(result.content, "@keyframes spin { from { a: b; } }");
+  });
+
+  it("removes at-rules left empty inside other at-rules", () => {
+    const result = prune(
+      "@supports (display: grid) { @media (min-width: 1px) { .gone { a: b; } } }\n.btn { c: d; }",
+      "app.css",
+      ["btn"],
+    );
+    assert.equal(result.content, ".btn { c: d; }");
+  });
+
+  it("keeps classes pulled in by @extend", () => {
+    const content = "%base { a: b; }\n.base { c: d; }\n.btn { @extend .base; }";
+    assert.equal(prune(content, "app.scss", ["btn"]).content, content);
+  });
+
+  it("keeps dynamically built SCSS selectors", () => {
+    const content = ".btn { &-primary { a: b; } &--#{$size} { c: d; } }";
+    assert.equal(prune(content, "app.scss", ["btn"]).content, content);
+  });
+
+  it("keeps Less mixins that are called", () => {
+    const result = prune(
+      ".mix() { a: b; }\n.keep { .mix(); }\n.gone { c: d; }",
+      "app.less",
+      ["keep"],
+    );
+    assert.equal(result.content, ".mix() { a: b; }\n.keep { .mix(); }");
+    assert.deepEqual(result.removed, ["gone"]);
+  });
+
+  it("removes Less mixins that are never called", () => {
+    const result = prune(
+      ".mix(@color) { a: @color; }\n.keep { b: c; }",
+      "app.less",
+      ["keep"],
+    );
+    assert.equal(result.content, ".keep { b: c; }");
+    assert.deepEqual(result.removed, ["mix"]);
+  });
+
+  it("checks nested rules against the full selector", () => {
+    const nested = prune(".gone { .btn { a: b; } }", "app.scss", ["btn"]);
+    const flat = prune(".gone .btn { a: b; }", "app.scss", ["btn"]);
+    assert.equal(nested.content, ".gone { .btn { a: b; } }");
+    assert.equal(flat.content, ".gone .btn { a: b; }");
+  });
+
+  it("resolves & against each parent selector", () => {
+    const result = prune(
+      ".card, .gone { &.is-open { a: b; } }\n.old { &:hover { c: d; } }",
+      "app.less",
+      ["is-open"],
+    );
+    assert.equal(result.content, ".card, .gone { &.is-open { a: b; } }");
+    assert.deepEqual(result.removed, ["old"]);
+  });
+
+  it("removes a parent once none of its nested rules are used", () => {
+    const result = prune(
+      ".gone { a: b; .also-gone { c: d; } }\n.btn { e: f; }",
+      "app.scss",
+      ["btn"],
+    );
+    assert.equal(result.content, ".btn { e: f; }");
+    assert.deepEqual(result.removed, ["gone", "also-gone"]);
+  });
+});
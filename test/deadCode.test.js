@@ -0,0 +1,101 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { findDeadCode } from "../src/deadCode.js";
+
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function analyze(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "turl-dead-code-"));
+  tempDirs.push(root);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  const jsFiles = Object.keys(files)
+    .filter((file) => file.startsWith("src/"))
+    .map((file) => path.join(root, file));
+  return findDeadCode(root, [path.join(root, "src")], jsFiles, (file) =>
+    fs.readFileSync(file, "utf-8"),
+  );
+}
+
+describe("findDeadCode", () => {
+  it("finds unreachable files and unused exports", () => {
+    const result = analyze({
+      "index.html": '<script type="module" src="/src/app.jsx"></script>',
+      "src/app.jsx": [
+        'import { used } from "./utils";',
+        'import "@/styles/theme.js";',
+        'export { format } from "./format.js";',
+        'const Home = () => import("./pages/Home.jsx");',
+        'const routes = import.meta.glob("./routes/*.jsx");',
+        "used(Home, routes);",
+      ].join("\n"),
+      "src/utils.js":
+        "export function used() {}\nexport const unused = 1, { also } = {};",
+      "src/format.js": "export const format = 1;\nexport const parse = 2;",
+      "src/styles/theme.js": "export const dark = true;",
+      "src/pages/Home.jsx": "export default function Home() {}",
+      "src/routes/about.jsx": "export const title = 'About';",
+      "src/old.js": 'import { used } from "./utils";',
+      "src/old.test.js": 'import { helper } from "./testing/helper";',
+      "src/testing/helper.js": "export const helper = 1;",
+    });
+
+    assert.deepEqual(result.entries, ["src/app.jsx"]);
+    assert.deepEqual(result.modules, ["src/old.js"]);
+    assert.deepEqual(result.exports, [
+      { path: "src/utils.js", name: "unused" },
+      { path: "src/utils.js", name: "also" },
+      { path: "src/format.js", name: "parse" },
+      { path: "src/styles/theme.js", name: "dark" },
+    ]);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it("falls back to src/main and src/index", () => {
+    const result = analyze({
+      "src/main.tsx": 'import { a } from "./lib";',
+      "src/lib.ts": "export const a: number = 1;",
+    });
+    assert.deepEqual(result.entries, ["src/main.tsx"]);
+    assert.deepEqual(result.exports, []);
+  });
+
+  it("reads entries from the Vite config", () => {
+    const result = analyze({
+      "vite.config.js":
+        'export default { build: { rollupOptions: { input: "./src/widget.js" } } };',
+      "src/widget.js": "",
+    });
+    assert.deepEqual(result.entries, ["vite.config.js", "src/widget.js"]);
+  });
+
+  it("warns about files it cannot parse", () => {
+    const result = analyze({
+      "src/index.js": 'import "./broken.js";',
+      "src/broken.js": "export const = ;",
+    });
+    assert.deepEqual(result.modules, []);
+    assert.match(result.warnings[0], /Could not analyze src\/broken.js/);
+  });
+
+  it("reports nothing without an entry point", () => {
+    const result = analyze({ "src/lib.js": "export const a = 1;" });
+    assert.deepEqual(result, {
+      entries: [],
+      modules: [],
+      exports: [],
+      warnings: [],
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  splitDiffByFile,
+  getSkipReason,
+  buildChunks,
+  prepareDiff,
+  formatSkippedNotes,
+} from "../src/diff.js";
+
+function fileDiff(file, lines) {
+  return [
+    `diff --git a/${file} b/${file}`,
+    `--- a/${file}`,
+    `+++ b/${file}`,
+    "@@ -1,1 +1,1 @@",
+    ...lines,
+    "",
+  ].join("\n");
+}
+
+describe("splitDiffByFile", () => {
+  it("splits a diff into one section per file", () => {
+    const diff =
+      fileDiff("src/a.js", ["-old", "+new"]) +
+      "diff --git a/logo.png b/logo.png\nBinary files a/logo.png and b/logo.png differ\n";
+    const sections = splitDiffByFile(diff);
+    assert.deepEqual(
+      sections.map((section) => [section.file, section.binary]),
+      [
+        ["src/a.js", false],
+        ["logo.png", true],
+      ],
+    );
+  });
+});
+
+describe("getSkipReason", () => {
+  it("skips lockfiles, binaries and generated files", () => {
+    const reason = (file, binary = false) => getSkipReason({ file, binary });
+    assert.equal(reason("packages/ui/package-lock.json"), "lockfile");
+    assert.equal(reason("src/data.bin", true), "binary file");
+    assert.equal(reason("dist/index.js"), "generated output");
+    assert.equal(reason("src/vendor.min.js"), "generated asset");
+    assert.equal(reason("public/logo.PNG"), "generated asset");
+    assert.equal(reason("src/dist.js"), null);
+  });
+});
+
+describe("buildChunks", () => {
+  it("packs whole files into chunks under the limit", () => {
+    const sections = ["a", "b", "c"].map((name) => ({
+      file: `${name}.js`,
+      text: fileDiff(`${name}.js`, ["+" + "x".repeat(300)]),
+    }));
+    const chunks = buildChunks(sections, 900);
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.files),
+      [["a.js", "b.js"], ["c.js"]],
+    );
+    assert.ok(chunks.every((chunk) => chunk.text.length <= 900));
+  });
+
+  it("splits a large file by hunks and lines", () => {
+    const lines = Array.from(
+      { length: 60 },
+      (_, i) => `+line ${i} ${"y".repeat(40)}`,
+    );
+    const chunks = buildChunks(
+      [{ file: "big.js", text: fileDiff("big.js", lines) }],
+      1000,
+    );
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every((chunk) => chunk.files[0] === "big.js"));
+    assert.ok(chunks.every((chunk) => chunk.text.startsWith("diff --git")));
+    assert.match(chunks[1].text, /@@ \(continued\) @@/);
+  });
+});
+
+describe("prepareDiff", () => {
+  it("leaves small diffs alone and notes skipped files", async () => {
+    const diff =
+      fileDiff("src/a.js", ["-old", "+new"]) +
+      fileDiff("package-lock.json", ["-1", "+2", "+3"]);
+    const result = await prepareDiff(null, "app", diff);
+    assert.equal(result.summarized, false);
+    assert.deepEqual(result.files, ["src/a.js"]);
+    assert.equal(
+      formatSkippedNotes(result.skipped),
+      "- package-lock.json: lockfile changed (+2 -1), contents omitted",
+    );
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveForgeConfig, openPullRequest } from "../src/forge.js";
+import { ErrorCodes } from "../src/errors.js";
+
+const TOKEN_ENV = "TURL_TEST_FORGE_TOKEN";
+const PULL_REQUEST = {
+  title: "Release v1.1.0",
+  body: "- Added login",
+  head: "release/v1.1.0",
+  base: "main",
+};
+
+function resolve(forgeConfig, remoteUrl) {
+  process.env[TOKEN_ENV] = "token";
+  try {
+    return resolveForgeConfig(
+      { ...forgeConfig, tokenEnv: TOKEN_ENV },
+      remoteUrl,
+    );
+  } finally {
+    delete process.env[TOKEN_ENV];
+  }
+}
+
+async function openWith(forge, response) {
+  const fetch = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, ...options, body: JSON.parse(options.body) });
+    return response;
+  };
+  try {
+    return { result: await openPullRequest(forge, PULL_REQUEST), requests };
+  } finally {
+    globalThis.fetch = fetch;
+  }
+}
+
+describe("resolveForgeConfig", () => {
+  it("reads the repository from SSH and HTTPS remotes", () => {
+    const remotes = [
+      "git@github.com:acme/app.git",
+      "https://github.com/acme/app.git",
+      "ssh://git@github.com:22/acme/app",
+      "https://github.com/acme/app/",
+    ];
+    for (const remote of remotes) {
+      assert.equal(resolve({}, remote).repo, "acme/app");
+    }
+    assert.equal(
+      resolve({ type: "gitlab" }, "git@gitlab.com:acme/web/app.git").repo,
+      "acme/web/app",
+    );
+  });
+
+  it("uses the API address of each forge type", () => {
+    const github = resolve({}, "git@github.com:acme/app.git");
+    assert.equal(github.type, "github");
+    assert.equal(github.baseUrl, "https://api.github.com");
+    assert.equal(github.token, "token");
+    assert.equal(
+      resolve({ type: "gitlab" }, "git@gitlab.com:acme/app.git").baseUrl,
+      "https://gitlab.com/api/v4",
+    );
+    assert.equal(
+      resolve(
+        { type: "gitea", baseUrl: "https://git.example.com/api/v1/" },
+        "git@git.example.com:acme/app.git",
+      ).baseUrl,
+      "https://git.example.com/api/v1",
+    );
+  });
+
+  it("rejects a config it cannot complete", () => {
+    const isConfigError = (field) => (err) =>
+      err.code === ErrorCodes.FORGE_CONFIG_INVALID &&
+      err.details.field === `releaseBranch.forge.${field}`;
+    assert.throws(
+      () => resolve({ type: "gitea" }, "git@git.example.com:acme/app.git"),
+      isConfigError("baseUrl"),
+    );
+    assert.throws(() => resolve({}, "/srv/git/app.git"), isConfigError("repo"));
+    assert.equal(
+      resolve({ repo: "acme/app" }, "/srv/git/app.git").repo,
+      "acme/app",
+    );
+    assert.throws(
+      () =>
+        resolveForgeConfig(
+          { tokenEnv: TOKEN_ENV },
+          "git@github.com:acme/app.git",
+        ),
+      isConfigError("tokenEnv"),
+    );
+  });
+});
+
+describe("openPullRequest", () => {
+  it("opens a GitHub pull request", async () => {
+    const forge = resolve({}, "git@github.com:acme/app.git");
+    const { result, requests } = await openWith(
+      forge,
+      Response.json({
+        number: 7,
+        html_url: "https://github.com/acme/app/pull/7",
+      }),
+    );
+    assert.deepEqual(result, {
+      number: 7,
+      url: "https://github.com/acme/app/pull/7",
+    });
+    assert.equal(
+      requests[0].url,
+      "https://api.github.com/repos/acme/app/pulls",
+    );
+    assert.equal(requests[0].headers.Authorization, "Bearer token");
+    assert.deepEqual(requests[0].body, PULL_REQUEST);
+  });
+
+  it("opens a GitLab merge request", async () => {
+    const forge = resolve(
+      { type: "gitlab" },
+      "git@gitlab.com:acme/web/app.git",
+    );
+    const { result, requests } = await openWith(
+      forge,
+      Response.json({ iid: 3, web_url: "https://gitlab.com/mr/3" }),
+    );
+    assert.deepEqual(result, { number: 3, url: "https://gitlab.com/mr/3" });
+    assert.equal(
+      requests[0].url,
+      "https://gitlab.com/api/v4/projects/acme%2Fweb%2Fapp/merge_requests",
+    );
+    assert.equal(requests[0].headers["PRIVATE-TOKEN"], "token");
+    assert.deepEqual(requests[0].body, {
+      title: PULL_REQUEST.title,
+      description: PULL_REQUEST.body,
+      source_branch: PULL_REQUEST.head,
+      target_branch: PULL_REQUEST.base,
+    });
+  });
+
+  it("reports a rejected request", async () => {
+    const forge = resolve({}, "git@github.com:acme/app.git");
+    await assert.rejects(
+      openWith(
+        forge,
+        Response.json({ message: "Bad credentials" }, { status: 401 }),
+      ),
+      (err) =>
+        err.code === ErrorCodes.FORGE_REQUEST_FAILED &&
+        /401 - Bad credentials/.test(err.message) &&
+        /token/.test(err.details.suggestion),
+    );
+  });
+});
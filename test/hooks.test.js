@@ -0,0 +1,162 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync, spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { getHooks, describeHook, runHook } from "../src/hooks.js";
+import { ErrorCodes } from "../src/errors.js";
+
+const CLI = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function createContext(files = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "turl-hooks-"));
+  tempDirs.push(root);
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return {
+    projectName: "app",
+    projectRoot: root,
+    version: "1.1.0",
+    previousVersion: "1.0.0",
+    tag: "v1.1.0",
+    branch: "main",
+    changedFiles: ["src/a.js", "src/b.js"],
+    changelog: "",
+    dryRun: false,
+  };
+}
+
+function isHookError(pattern) {
+  return (err) =>
+    err.code === ErrorCodes.HOOK_FAILED && pattern.test(err.message);
+}
+
+describe("getHooks", () => {
+  it("accepts a single entry or a list", () => {
+    const hooks = {
+      afterBuild: "npm run icons",
+      afterPush: ["npm run deploy", { module: "./notify.js" }],
+    };
+    assert.deepEqual(getHooks(hooks, "afterBuild"), ["npm run icons"]);
+    assert.deepEqual(getHooks(hooks, "afterPush").map(describeHook), [
+      "npm run deploy",
+      "./notify.js",
+    ]);
+    assert.deepEqual(getHooks(hooks, "onFailure"), []);
+    assert.deepEqual(getHooks(undefined, "preflight"), []);
+  });
+});
+
+describe("runHook", () => {
+  it("runs commands with the release details in the environment", async () => {
+    const context = createContext();
+    await runHook(
+      "afterBump",
+      `node -e "require('fs').writeFileSync('env.txt', [process.env.TURL_HOOK, process.env.TURL_VERSION, process.env.TURL_CHANGED_FILES].join('|'))"`,
+      context,
+    );
+    assert.equal(
+      fs.readFileSync(path.join(context.projectRoot, "env.txt"), "utf-8"),
+      "afterBump|1.1.0|src/a.js\nsrc/b.js",
+    );
+  });
+
+  it("fails when a command exits with an error", async () => {
+    const context = createContext();
+    await assert.rejects(
+      runHook("beforeCommit", "exit 4", context),
+      (err) =>
+        isHookError(/beforeCommit hook failed with exit code 4/)(err) &&
+        err.details.exitCode === 4,
+    );
+  });
+
+  it("calls the function a module exports for the hook", async () => {
+    const context = createContext({
+      "hooks.mjs": [
+        "import fs from 'fs';",
+        "export function afterBuild(ctx) {",
+        "  fs.writeFileSync(ctx.projectRoot + '/out.txt', ctx.hook + ' ' + ctx.tag);",
+        "}",
+        "export default () => { throw new Error('wrong export'); };",
+      ].join("\n"),
+    });
+    await runHook("afterBuild", { module: "./hooks.mjs" }, context);
+    assert.equal(
+      fs.readFileSync(path.join(context.projectRoot, "out.txt"), "utf-8"),
+      "afterBuild v1.1.0",
+    );
+  });
+
+  it("reports modules that fail, cannot load or export nothing", async () => {
+    const context = createContext({
+      "throws.mjs":
+        "export default async () => { throw new Error('no token'); };",
+      "empty.mjs": "export const value = 1;",
+    });
+    await assert.rejects(
+      runHook("afterPush", { module: "./throws.mjs" }, context),
+      isHookError(/afterPush hook \.\/throws\.mjs failed: no token/),
+    );
+    await assert.rejects(
+      runHook("afterPush", { module: "./empty.mjs" }, context),
+      isHookError(/does not export a function/),
+    );
+    await assert.rejects(
+      runHook("afterPush", { module: "./missing.mjs" }, context),
+      isHookError(/could not be loaded/),
+    );
+  });
+});
+
+describe("failing hooks", () => {
+  it("roll the release back and run the onFailure hooks", () => {
+    const context = createContext();
+    const root = context.projectRoot;
+    const turlJson = JSON.stringify({
+      version: "1.0.0",
+      projectName: "app",
+      hooks: {
+        afterBump: "exit 2",
+        onFailure: `node -e "require('fs').writeFileSync('failure.txt', process.env.TURL_ERROR)"`,
+      },
+    });
+    fs.mkdirSync(path.join(root, "public"));
+    fs.writeFileSync(path.join(root, "public", "turl.json"), turlJson);
+    fs.writeFileSync(path.join(root, "package.json"), '{ "version": "1.0.0" }');
+    const git = (command) =>
+      execSync(`git ${command}`, { cwd: root, stdio: "pipe" });
+    git("init -q");
+    git("config user.email dev@example.com");
+    git("config user.name dev");
+    git("add -A");
+    git('commit -q -m "init"');
+
+    const result = spawnSync("node", [CLI, "bump", "--minor"], {
+      cwd: root,
+      encoding: "utf8",
+    });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /afterBump hook failed with exit code 2/);
+    assert.match(result.stdout, /\[ROLLBACK\] Restored public\/turl.json/);
+    assert.equal(
+      fs.readFileSync(path.join(root, "public", "turl.json"), "utf-8"),
+      turlJson,
+    );
+    assert.equal(
+      fs.readFileSync(path.join(root, "failure.txt"), "utf-8"),
+      "afterBump hook failed with exit code 2: exit 2",
+    );
+  });
+});
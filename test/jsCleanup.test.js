@@ -0,0 +1,115 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { removeDebugStatements } from "../src/jsCleanup.js";
+
+function strip(content, file = "app.js", names) {
+  return removeDebugStatements(content, file, names);
+}
+
+describe("removeDebugStatements", () => {
+  it("removes statements together with their line", () => {
+    const result = strip(
+      "const a = 1;\n  console.log(a);\ndebugger;\nrun(a);\n",
+    );
+    assert.equal(result.content, "const a = 1;\nrun(a);\n");
+    assert.deepEqual(result.removed, { "console.log": 1, debugger: 1 });
+  });
+
+  it("leaves strings, comments and other calls alone", () => {
+    const content =
+      'const s = "console.log(1)";\n// console.log(2)\nconsole.error(3);\nlogger.log(4);\n';
+    assert.equal(strip(content).content, content);
+  });
+
+  it("only strips the configured calls", () => {
+    const result = strip("console.log(1);\nconsole.warn(2);\n", "app.js", [
+      "console.warn",
+    ]);
+    assert.equal(result.content, "console.log(1);\n");
+  });
+
+  it("keeps the code valid where a statement is required", () => {
+    assert.equal(
+      strip("if (debug) console.log(state);\nrun();\n").content,
+      "if (debug) {}\nrun();\n",
+    );
+    assert.equal(
+      strip("const log = (x) => console.log(x);\n").content,
+      "const log = (x) => void 0;\n",
+    );
+  });
+
+  it("skips calls whose value is used", () => {
+    const content = "const value = console.log(1);\n";
+    const result = strip(content);
+    assert.equal(result.content, content);
+    assert.equal(result.skipped, 1);
+  });
+
+  it("parses TypeScript and JSX", () => {
+    const result = strip(
+      "const n: number = 1;\nconsole.log(n as number);\nexport const A = () => <div>{n}</div>;\n",
+      "app.tsx",
+    );
+    assert.equal(
+      result.content,
+      "const n: number = 1;\nexport const A = () => <div>{n}</div>;\n",
+    );
+  });
+
+  it("honours keep markers", () => {
+    const content =
+      "// turl-keep\nconsole.log(1);\nconsole.log(2); // turl-keep\n";
+    assert.equal(strip(content).kept, 2);
+    assert.equal(strip(content).content, content);
+    assert.equal(
+      strip("/* turl-keep-file */\nconsole.log(1);\n").keptFile,
+      true,
+    );
+  });
+
+  it("leaves a semicolon when the next line would join the one above", () => {
+    assert.equal(
+      strip("const a = b\nconsole.log(a)\n;(run)()\n").content,
+      "const a = b\n;(run)()\n",
+    );
+    assert.equal(
+      strip("const a = b\nconsole.log(a)\n(run)()\n").content,
+      "const a = b\nconsole.log(a)\n(run)()\n",
+    );
+    assert.equal(
+      strip("let a = b\nconsole.log(a);\n[1, 2].forEach(run)\n").content,
+      "let a = b\n;\n[1, 2].forEach(run)\n",
+    );
+    assert.equal(
+      strip("let a = () => {}\ndebugger\n`x`.trim()\n").content,
+      "let a = () => {}\n;\n`x`.trim()\n",
+    );
+  });
+
+  it("removes the line when the lines around it cannot join", () => {
+    assert.equal(
+      strip("const a = b\nconsole.log(a)\nrun()\n").content,
+      "const a = b\nrun()\n",
+    );
+    assert.equal(
+      strip("run();\nconsole.log(a);\n(async () => {})();\n").content,
+      "run();\n(async () => {})();\n",
+    );
+    assert.equal(
+      strip("if (a) {\n  go()\n}\nconsole.log(a);\n[1].forEach(run)\n").content,
+      "if (a) {\n  go()\n}\n[1].forEach(run)\n",
+    );
+    assert.equal(
+      strip("const a = b\nconsole.log(a)\n").content,
+      "const a = b\n",
+    );
+  });
+
+  it("leaves a semicolon after an object literal", () => {
+    assert.equal(
+      strip("const o = {}\nconsole.log(o);\n(run)()\n").content,
+      "const o = {}\n;\n(run)()\n",
+    );
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PROVIDERS,
+  resolveAiConfig,
+  validateApiKey,
+  complete,
+} from "../src/providers.js";
+import { ErrorCodes } from "../src/errors.js";
+
+const KEY_ENV = "TURL_TEST_AI_KEY";
+
+function resolveWithKey(aiConfig, apiKey) {
+  process.env[KEY_ENV] = apiKey;
+  try {
+    return resolveAiConfig({ ...aiConfig, apiKeyEnv: KEY_ENV });
+  } finally {
+    delete process.env[KEY_ENV];
+  }
+}
+
+function errorCode(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.code;
+  }
+  return assert.fail("expected an error");
+}
+
+async function completeWith(ai, response) {
+  const fetch = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, ...options, body: JSON.parse(options.body) });
+    return response;
+  };
+  try {
+    return { content: await complete(ai, "Describe the diff"), requests };
+  } finally {
+    globalThis.fetch = fetch;
+  }
+}
+
+describe("resolveAiConfig", () => {
+  it("fills in the provider defaults", () => {
+    const ai = resolveAiConfig({});
+    assert.equal(ai.provider, "grok");
+    assert.equal(ai.baseUrl, "https://api.x.ai/v1");
+    assert.equal(ai.temperature, 0.3);
+    assert.deepEqual(ai.apiKeyEnv, ["GROK_API_KEY", "REACT_APP_GROK_API_KEY"]);
+  });
+
+  it("reads the key from the configured variable", () => {
+    const ai = resolveWithKey(
+      {
+        provider: "openai-compatible",
+        baseUrl: "http://localhost:8080/v1/",
+        model: "local",
+      },
+      "local-key",
+    );
+    assert.equal(ai.baseUrl, "http://localhost:8080/v1");
+    assert.equal(ai.apiKey, "local-key");
+    assert.deepEqual(ai.apiKeyEnv, [KEY_ENV]);
+  });
+
+  it("rejects unknown providers and missing settings", () => {
+    const code = ErrorCodes.AI_CONFIG_INVALID;
+    assert.equal(
+      errorCode(() => resolveAiConfig({ provider: "x" })),
+      code,
+    );
+    assert.equal(
+      errorCode(() => resolveAiConfig({ provider: "openai-compatible" })),
+      code,
+    );
+    assert.equal(
+      errorCode(() => resolveAiConfig({ temperature: 3 })),
+      code,
+    );
+    assert.equal(
+      errorCode(() => resolveAiConfig([])),
+      code,
+    );
+  });
+});
+
+describe("buildRequest", () => {
+  it("shapes OpenAI-style requests", () => {
+    const ai = resolveWithKey({ provider: "openai" }, "sk-key");
+    const request = PROVIDERS.openai.buildRequest(ai, "prompt");
+    assert.equal(request.url, "https://api.openai.com/v1/chat/completions");
+    assert.equal(request.headers.Authorization, "Bearer sk-key");
+    assert.deepEqual(
+      request.body.messages.map((message) => message.role),
+      ["system", "user"],
+    );
+    assert.equal(request.body.model, "gpt-4o-mini");
+  });
+
+  it("leaves out the Authorization header without a key", () => {
+    const ai = resolveWithKey(
+      {
+        provider: "openai-compatible",
+        baseUrl: "http://localhost:8080/v1",
+        model: "local",
+      },
+      "",
+    );
+    const request = PROVIDERS["openai-compatible"].buildRequest(ai, "prompt");
+    assert.equal(request.headers.Authorization, undefined);
+  });
+
+  it("shapes Anthropic requests", () => {
+    const ai = resolveWithKey({ provider: "anthropic" }, "sk-ant-key");
+    const request = PROVIDERS.anthropic.buildRequest(ai, "prompt");
+    assert.equal(request.url, "https://api.anthropic.com/v1/messages");
+    assert.equal(request.headers["x-api-key"], "sk-ant-key");
+    assert.ok(request.headers["anthropic-version"]);
+    assert.equal(typeof request.body.system, "string");
+    assert.deepEqual(request.body.messages, [
+      { role: "user", content: "prompt" },
+    ]);
+  });
+
+  it("shapes Ollama requests", () => {
+    const ai = resolveAiConfig({ provider: "ollama", temperature: 0 });
+    const request = PROVIDERS.ollama.buildRequest(ai, "prompt");
+    assert.equal(request.url, "http://localhost:11434/api/chat");
+    assert.equal(request.body.stream, false);
+    assert.deepEqual(request.body.options, { temperature: 0 });
+  });
+});
+
+describe("validateApiKey", () => {
+  it("requires a key for hosted providers", () => {
+    const ai = resolveWithKey({ provider: "anthropic" }, "");
+    assert.equal(
+      errorCode(() => validateApiKey(ai)),
+      ErrorCodes.API_KEY_MISSING,
+    );
+  });
+
+  it("checks the key prefix and length", () => {
+    const wrongPrefix = resolveWithKey(
+      { provider: "anthropic" },
+      "sk-proj-" + "x".repeat(30),
+    );
+    const tooShort = resolveWithKey({ provider: "anthropic" }, "sk-ant-x");
+    const valid = resolveWithKey(
+      { provider: "anthropic" },
+      "sk-ant-" + "x".repeat(30),
+    );
+    assert.equal(
+      errorCode(() => validateApiKey(wrongPrefix)),
+      ErrorCodes.API_KEY_INVALID,
+    );
+    assert.equal(
+      errorCode(() => validateApiKey(tooShort)),
+      ErrorCodes.API_KEY_INVALID,
+    );
+    assert.equal(validateApiKey(valid), true);
+  });
+
+  it("accepts a missing key for local providers", () => {
+    assert.equal(validateApiKey(resolveAiConfig({ provider: "ollama" })), true);
+  });
+});
+
+describe("complete", () => {
+  it("sends the request and reads the text", async () => {
+    const ai = resolveWithKey({ provider: "anthropic" }, "sk-ant-key");
+    const { content, requests } = await completeWith(
+      ai,
+      Response.json({
+        content: [
+          { type: "text", text: "Added " },
+          { type: "tool_use" },
+          { type: "text", text: "login" },
+        ],
+      }),
+    );
+    assert.equal(content, "Added login");
+    assert.equal(requests[0].method, "POST");
+    assert.equal(requests[0].body.messages[0].content, "Describe the diff");
+  });
+
+  it("maps HTTP errors to error codes", async () => {
+    const ai = resolveWithKey({ provider: "openai" }, "sk-key");
+    const cases = [
+      [401, ErrorCodes.API_KEY_INVALID],
+      [429, ErrorCodes.API_RATE_LIMITED],
+      [503, ErrorCodes.API_SERVER_ERROR],
+    ];
+    for (const [status, code] of cases) {
+      await assert.rejects(
+        completeWith(ai, new Response("{}", { status })),
+        (err) => err.code === code,
+      );
+    }
+  });
+
+  it("rejects a response in the wrong format", async () => {
+    const ai = resolveWithKey({ provider: "openai" }, "sk-key");
+    await assert.rejects(
+      completeWith(ai, Response.json({ content: "text" })),
+      (err) => err.code === ErrorCodes.API_RESPONSE_INVALID,
+    );
+  });
+});
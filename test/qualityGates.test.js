@@ -0,0 +1,128 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execSync, spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { runQualityGates } from "../src/qualityGates.js";
+
+const CLI = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const CHECK_CI = `node -e "process.exit(process.env.CI === 'true' ? 0 : 1)"`;
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function createTempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+}
+
+function createProject(scripts) {
+  const root = createTempDir("turl-gates-");
+  fs.writeFileSync(
+    path.join(root, "package.json"),
+    JSON.stringify({ name: "app", version: "1.0.0", scripts }),
+  );
+  return root;
+}
+
+function gates(root, commands) {
+  return [
+    {
+      project: { name: "app", dir: "", root, workspace: false },
+      config: {
+        commands: { lint: null, typecheck: null, test: null, ...commands },
+      },
+    },
+  ];
+}
+
+async function captureOutput(fn) {
+  const write = process.stdout.write;
+  let output = "";
+  process.stdout.write = (chunk) => {
+    output += chunk;
+    return true;
+  };
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return output;
+}
+
+describe("runQualityGates", () => {
+  it("skips gates that are disabled or have no script", async () => {
+    const root = createProject({
+      lint: "eslint .",
+      test: 'echo "Error: no test specified" && exit 1',
+    });
+    const output = await captureOutput(() =>
+      runQualityGates(gates(root, { lint: false }), false),
+    );
+    assert.match(output, /\[SKIP\] Lint disabled in turl.json/);
+    assert.match(output, /\[SKIP\] No typecheck script in package.json/);
+    assert.match(output, /\[SKIP\] No test script in package.json/);
+  });
+
+  it("only prints the commands in a dry run", async () => {
+    const root = createProject({ lint: "eslint .", "type-check": "tsc" });
+    const output = await captureOutput(() =>
+      runQualityGates(gates(root, { test: "exit 1" }), true),
+    );
+    assert.match(output, /\[DRY RUN\] Would run: npm run lint/);
+    assert.match(output, /\[DRY RUN\] Would run: npm run type-check/);
+    assert.match(output, /\[DRY RUN\] Would run: exit 1/);
+  });
+
+  it("runs the commands with CI=true", async () => {
+    const root = createProject({});
+    const output = await captureOutput(() =>
+      runQualityGates(gates(root, { test: CHECK_CI }), false),
+    );
+    assert.match(output, /\[OK\] Tests passed/);
+  });
+
+  it("stops the release before the version changes when a gate fails", () => {
+    const root = createProject({ test: "exit 3" });
+    const remote = createTempDir("turl-remote-");
+    const git = (command, cwd = root) =>
+      execSync(`git ${command}`, { cwd, stdio: "pipe" }).toString().trim();
+    git("init -q --bare", remote);
+    git("init -q -b main");
+    git("config user.email dev@example.com");
+    git("config user.name dev");
+    git(`remote add origin "${remote}"`);
+    fs.mkdirSync(path.join(root, "public"));
+    const turlJson = '{ "version": "1.0.0", "projectName": "app" }\n';
+    fs.writeFileSync(path.join(root, "public", "turl.json"), turlJson);
+    git("add -A");
+    git('commit -q -m "init"');
+    git("push -q origin main");
+    fs.writeFileSync(path.join(root, "index.js"), "export const a = 1;\n");
+    git("add -A");
+    git('commit -q -m "feat: add a"');
+
+    const result = spawnSync("node", [CLI, "--no-ai", "--minor"], {
+      cwd: root,
+      encoding: "utf8",
+    });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /Tests failed with exit code 3/);
+    assert.doesNotMatch(result.stdout, /\[5\/14\]/);
+    assert.equal(
+      fs.readFileSync(path.join(root, "public", "turl.json"), "utf8"),
+      turlJson,
+    );
+    assert.equal(git("log --format=%s"), "feat: add a\ninit");
+    assert.equal(git("status --porcelain"), "");
+  });
+});
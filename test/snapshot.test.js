@@ -0,0 +1,123 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import {
+  createSnapshot,
+  restoreSnapshot,
+  undoCommit,
+} from "../src/snapshot.js";
+
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function createRepo(files = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "turl-snapshot-"));
+  tempDirs.push(root);
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: root, stdio: "pipe" }).toString();
+  git("init", "-q");
+  git("config", "user.email", "dev@example.com");
+  git("config", "user.name", "dev");
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  const read = (file) =>
+    fs.existsSync(path.join(root, file))
+      ? fs.readFileSync(path.join(root, file), "utf8")
+      : null;
+  for (const [file, content] of Object.entries(files)) {
+    write(file, content);
+  }
+  if (Object.keys(files).length > 0) {
+    git("add", "-A");
+    git("commit", "-q", "-m", "init");
+  }
+  return { root, git, write, read };
+}
+
+describe("restoreSnapshot", () => {
+  it("restores changed, added and deleted files and the index", () => {
+    const repo = createRepo({
+      "package.json": '{ "version": "1.0.0" }\n',
+      "src/App.css": ".a {}\n",
+      "CHANGELOG.md": "# Changelog\n",
+    });
+    repo.write("src/App.css", ".a {}\n.b {}\n");
+    repo.git("add", "src/App.css");
+    repo.write("notes.txt", "draft\n");
+    const status = repo.git("status", "--porcelain");
+
+    const snapshot = createSnapshot(repo.root);
+    repo.write("package.json", '{ "version": "1.1.0" }\n');
+    repo.write("src/App.css", "");
+    repo.write("dist/index.html", "<html></html>\n");
+    repo.write("notes.txt", "edited\n");
+    fs.unlinkSync(path.join(repo.root, "CHANGELOG.md"));
+    repo.git("add", "-A");
+
+    const { restored, failed } = restoreSnapshot(snapshot);
+
+    assert.deepEqual(failed, []);
+    assert.deepEqual(restored.sort(), [
+      "CHANGELOG.md",
+      "dist/index.html",
+      "notes.txt",
+      "package.json",
+      "src/App.css",
+    ]);
+    assert.equal(repo.read("package.json"), '{ "version": "1.0.0" }\n');
+    assert.equal(repo.read("src/App.css"), ".a {}\n.b {}\n");
+    assert.equal(repo.read("CHANGELOG.md"), "# Changelog\n");
+    assert.equal(repo.read("notes.txt"), "draft\n");
+    assert.equal(repo.read("dist/index.html"), null);
+    assert.equal(repo.git("status", "--porcelain"), status);
+    assert.equal(repo.git("write-tree").trim(), snapshot.indexTree);
+  });
+
+  it("leaves a clean tree untouched", () => {
+    const repo = createRepo({ "a.txt": "a\n" });
+    const snapshot = createSnapshot(repo.root);
+    assert.deepEqual(restoreSnapshot(snapshot), { restored: [], failed: [] });
+  });
+
+  it("works in a repository without commits", () => {
+    const repo = createRepo();
+    repo.write("a.txt", "a\n");
+    const snapshot = createSnapshot(repo.root);
+    assert.equal(snapshot.head, null);
+
+    repo.write("b.txt", "b\n");
+    repo.git("add", "-A");
+    restoreSnapshot(snapshot);
+
+    assert.equal(repo.read("a.txt"), "a\n");
+    assert.equal(repo.read("b.txt"), null);
+    assert.equal(repo.git("ls-files"), "");
+  });
+});
+
+describe("undoCommit", () => {
+  it("moves HEAD back and keeps the changes for restoring", () => {
+    const repo = createRepo({ "package.json": '{ "version": "1.0.0" }\n' });
+    const snapshot = createSnapshot(repo.root);
+    repo.write("package.json", '{ "version": "1.1.0" }\n');
+    repo.git("commit", "-q", "-am", "Release 1.1.0");
+
+    undoCommit(snapshot);
+    assert.equal(repo.git("rev-parse", "HEAD").trim(), snapshot.head);
+    assert.equal(repo.read("package.json"), '{ "version": "1.1.0" }\n');
+
+    restoreSnapshot(snapshot);
+    assert.equal(repo.read("package.json"), '{ "version": "1.0.0" }\n');
+    assert.equal(repo.git("status", "--porcelain"), "");
+  });
+});
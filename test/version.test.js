@@ -0,0 +1,208 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseVersion,
+  compareVersions,
+  bumpVersion,
+  resolveNextVersion,
+  classifyCommit,
+  determineBump,
+} from "../src/version.js";
+import { ErrorCodes } from "../src/errors.js";
+
+describe("parseVersion", () => {
+  it("parses full semver with a pre-release", () => {
+    assert.deepEqual(parseVersion("v1.4.0-rc.2"), {
+      major: 1,
+      minor: 4,
+      patch: 0,
+      prerelease: ["rc", "2"],
+      legacy: false,
+    });
+  });
+
+  it("reads two-part versions as legacy", () => {
+    assert.equal(parseVersion("1.4").legacy, true);
+    assert.equal(parseVersion("1.4").patch, 0);
+  });
+
+  it("rejects anything else", () => {
+    assert.throws(() => parseVersion("1.x"), {
+      code: ErrorCodes.VERSION_INVALID,
+    });
+  });
+});
+
+describe("compareVersions", () => {
+  it("orders pre-releases before the release", () => {
+    const ordered = [
+      "1.0.0-alpha",
+      "1.0.0-alpha.1",
+      "1.0.0-beta.2",
+      "1.0.0-beta.11",
+      "1.0.0-rc.1",
+      "1.0.0",
+      "1.0.1",
+    ];
+    for (let i = 1; i < ordered.length; i++) {
+      assert.equal(compareVersions(ordered[i - 1], ordered[i]), -1);
+      assert.equal(compareVersions(ordered[i], ordered[i - 1]), 1);
+    }
+    assert.equal(compareVersions("2.0.0", "v2.0.0"), 0);
+  });
+});
+
+describe("bumpVersion", () => {
+  it("bumps each level", () => {
+    assert.equal(bumpVersion("1.2.3", "patch"), "1.2.4");
+    assert.equal(bumpVersion("1.2.3", "minor"), "1.3.0");
+    assert.equal(bumpVersion("1.2.3", "major"), "2.0.0");
+  });
+
+  it("releases a pre-release that already covers the level", () => {
+    assert.equal(bumpVersion("1.3.0-rc.1", "minor"), "1.3.0");
+    assert.equal(bumpVersion("2.0.0-beta.1", "major"), "2.0.0");
+    assert.equal(bumpVersion("1.3.1-rc.1", "minor"), "1.4.0");
+  });
+
+  it("rejects unknown levels", () => {
+    assert.throws(() => bumpVersion("1.2.3", "huge"), {
+      code: ErrorCodes.VERSION_INVALID,
+    });
+  });
+});
+
+describe("resolveNextVersion", () => {
+  it("defaults to a minor bump", () => {
+    assert.equal(resolveNextVersion("1.2.3").version, "1.3.0");
+  });
+
+  it("prefers an explicit bump over the detected one", () => {
+    const next = resolveNextVersion("1.2.3", {
+      bump: "patch",
+      autoBump: "major",
+    });
+    assert.deepEqual(next, {
+      version: "1.2.4",
+      level: "patch",
+      migratedFrom: null,
+    });
+  });
+
+  it("migrates legacy versions", () => {
+    const next = resolveNextVersion("1.4", { bump: "patch" });
+    assert.equal(next.version, "1.4.1");
+    assert.equal(next.migratedFrom, "1.4");
+  });
+
+  it("only accepts a greater explicit version", () => {
+    assert.equal(
+      resolveNextVersion("1.2.3", { version: "2.0.0" }).version,
+      "2.0.0",
+    );
+    assert.throws(() => resolveNextVersion("1.2.3", { version: "1.2.3" }), {
+      code: ErrorCodes.VERSION_INVALID,
+    });
+    assert.throws(() => resolveNextVersion("1.2.3", { version: "1.3" }), {
+      code: ErrorCodes.VERSION_INVALID,
+    });
+  });
+
+  it("starts, continues and switches pre-release channels", () => {
+    assert.equal(
+      resolveNextVersion("1.2.3", { preid: "beta" }).version,
+      "1.3.0-beta.1",
+    );
+    assert.equal(
+      resolveNextVersion("1.2.3", { preid: "alpha", autoBump: "patch" })
+        .version,
+      "1.2.4-alpha.1",
+    );
+    assert.equal(
+      resolveNextVersion("1.3.0-beta.1", { preid: "beta" }).version,
+      "1.3.0-beta.2",
+    );
+    assert.equal(
+      resolveNextVersion("1.3.0-beta.4", { preid: "rc" }).version,
+      "1.3.0-rc.1",
+    );
+    assert.equal(
+      resolveNextVersion("1.3.0-rc.1", { preid: "beta", bump: "major" })
+        .version,
+      "2.0.0-beta.1",
+    );
+  });
+
+  it("refuses to go back to an earlier channel", () => {
+    assert.throws(() => resolveNextVersion("1.3.0-rc.1", { preid: "beta" }), {
+      code: ErrorCodes.VERSION_INVALID,
+    });
+  });
+
+  it("promotes a pre-release to stable", () => {
+    assert.deepEqual(resolveNextVersion("1.3.0-rc.2", { promote: true }), {
+      version: "1.3.0",
+      level: "promote",
+      migratedFrom: null,
+    });
+    assert.throws(() => resolveNextVersion("1.3.0", { promote: true }), {
+      code: ErrorCodes.VERSION_INVALID,
+    });
+  });
+});
+
+describe("classifyCommit", () => {
+  it("maps Conventional Commits to bump levels", () => {
+    assert.equal(classifyCommit({ subject: "feat: add export" }), "minor");
+    assert.equal(classifyCommit({ subject: "Feat(ui): add theme" }), "minor");
+    assert.equal(classifyCommit({ subject: "fix: handle null" }), "patch");
+    assert.equal(classifyCommit({ subject: "update readme" }), "patch");
+    assert.equal(classifyCommit({ subject: "feat!: drop node 16" }), "major");
+    assert.equal(classifyCommit({ subject: "fix(api)!: rename" }), "major");
+  });
+
+  it("treats a BREAKING CHANGE footer as major", () => {
+    assert.equal(
+      classifyCommit({
+        subject: "refactor: move config",
+        body: "Details\n\nBREAKING CHANGE: turl.json moved",
+      }),
+      "major",
+    );
+    assert.equal(
+      classifyCommit({
+        subject: "fix: typo",
+        body: "mentions a BREAKING CHANGE: inline",
+      }),
+      "patch",
+    );
+  });
+});
+
+describe("determineBump", () => {
+  it("returns nothing without commits", () => {
+    assert.deepEqual(determineBump([]), { level: null, commits: [] });
+  });
+
+  it("picks the highest level and the commits behind it", () => {
+    const result = determineBump([
+      { subject: "fix: one" },
+      { subject: "feat: two" },
+      { subject: "feat(ui): three" },
+    ]);
+    assert.equal(result.level, "minor");
+    assert.deepEqual(
+      result.commits.map((commit) => commit.subject),
+      ["feat: two", "feat(ui): three"],
+    );
+  });
+
+  it("lets one breaking change win", () => {
+    const result = determineBump([
+      { subject: "feat: a" },
+      { subject: "chore: b", body: "BREAKING-CHANGE: c" },
+    ]);
+    assert.equal(result.level, "major");
+    assert.equal(result.commits.length, 1);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getVersionTargets,
+  readVersionFiles,
+  findVersionMismatches,
+  writeVersionFiles,
+} from "../src/versionFiles.js";
+import { ErrorCodes } from "../src/errors.js";
+
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function createProject(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "turl-version-files-"));
+  tempDirs.push(root);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return {
+    root,
+    project: { name: null, dir: "", root, workspace: false },
+    read: (file) => fs.readFileSync(path.join(root, file), "utf-8"),
+  };
+}
+
+describe("writeVersionFiles", () => {
+  it("writes dotted keys and keeps the file's formatting", () => {
+    const { root, project, read } = createProject({
+      "package.json": '{\n  "name": "app",\n  "version": "1.0.0"\n}\n',
+      "public/manifest.json":
+        '{\n\t"name": "App",\n\t"meta": {\n\t\t"ver": "1.0.0"\n\t}\n}',
+      "app.json": '{\n    "version": "1.0.0"\n}\n',
+    });
+    const targets = getVersionTargets(root, project, [
+      { path: "public/manifest.json", key: "meta.ver" },
+      "app.json",
+    ]);
+
+    const written = writeVersionFiles(targets, "1.1.0");
+
+    assert.deepEqual(written, [
+      "package.json",
+      "public/manifest.json",
+      "app.json",
+    ]);
+    assert.equal(
+      read("public/manifest.json"),
+      '{\n\t"name": "App",\n\t"meta": {\n\t\t"ver": "1.1.0"\n\t}\n}',
+    );
+    assert.equal(read("app.json"), '{\n    "version": "1.1.0"\n}\n');
+  });
+
+  it("adds a missing version to package.json only", () => {
+    const { root, project, read } = createProject({
+      "package.json": '{ "name": "app" }\n',
+      "package-lock.json": '{ "name": "app" }\n',
+    });
+    writeVersionFiles(getVersionTargets(root, project), "2.0.0");
+    assert.equal(JSON.parse(read("package.json")).version, "2.0.0");
+    assert.equal(read("package-lock.json"), '{ "name": "app" }\n');
+  });
+
+  it("updates a workspace package in the root lockfile", () => {
+    const { root, read } = createProject({
+      "package-lock.json": JSON.stringify({
+        version: "0.0.0",
+        packages: { "": {}, "apps/web": { version: "1.0.0" } },
+      }),
+      "apps/web/package.json": '{ "version": "1.0.0" }',
+    });
+    const project = {
+      name: "web",
+      dir: "apps/web",
+      root: path.join(root, "apps/web"),
+      workspace: true,
+    };
+    const targets = getVersionTargets(root, project);
+    assert.deepEqual(
+      targets.map((target) => target.file),
+      ["apps/web/package.json", "package-lock.json"],
+    );
+
+    writeVersionFiles(targets, "1.0.1");
+    const lockfile = JSON.parse(read("package-lock.json"));
+    assert.equal(lockfile.packages["apps/web"].version, "1.0.1");
+    assert.equal(lockfile.version, "0.0.0");
+  });
+
+  it("fails when a configured file or key is missing", () => {
+    const { root, project } = createProject({
+      "app.json": '{ "meta": {} }\n',
+    });
+    assert.throws(
+      () =>
+        writeVersionFiles(
+          getVersionTargets(root, project, ["missing.json"]),
+          "1.0.0",
+        ),
+      (err) => err.code === ErrorCodes.FILE_READ_ERROR,
+    );
+    assert.throws(
+      () =>
+        writeVersionFiles(
+          getVersionTargets(root, project, [
+            { path: "app.json", key: "meta.version" },
+          ]),
+          "1.0.0",
+        ),
+      (err) =>
+        err.code === ErrorCodes.VERSION_JSON_INVALID &&
+        /"meta.version"/.test(err.message),
+    );
+  });
+});
+
+describe("findVersionMismatches", () => {
+  it("lists the files with a different version", () => {
+    const { root, project } = createProject({
+      "package.json": '{ "version": "1.2.0" }',
+      "app.json": '{ "expo": { "version": "1.1.0" } }',
+    });
+    const files = readVersionFiles(
+      getVersionTargets(root, project, [
+        { path: "app.json", key: "expo.version" },
+      ]),
+    );
+    assert.deepEqual(
+      findVersionMismatches(files, "1.2.0").map((file) => [
+        file.file,
+        file.version,
+      ]),
+      [["app.json", "1.1.0"]],
+    );
+  });
+});
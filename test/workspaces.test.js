@@ -0,0 +1,116 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { findWorkspacePackages, selectPackages } from "../src/workspaces.js";
+import { ErrorCodes } from "../src/errors.js";
+
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function createWorkspace(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "turl-workspace-"));
+  tempDirs.push(root);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(
+      path.join(root, file),
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+  }
+  return root;
+}
+
+function packageDirs(root) {
+  return findWorkspacePackages(root).map((pkg) => [pkg.name, pkg.dir]);
+}
+
+describe("findWorkspacePackages", () => {
+  it("expands npm workspace globs and exclusions", () => {
+    const root = createWorkspace({
+      "package.json": { workspaces: ["apps/*", "!apps/legacy", "tools/cli"] },
+      "apps/web/package.json": { name: "@acme/web" },
+      "apps/admin/package.json": {},
+      "apps/legacy/package.json": { name: "legacy" },
+      "apps/docs/README.md": "no package.json here",
+      "tools/cli/package.json": { name: "cli" },
+    });
+    const packages = findWorkspacePackages(root);
+    assert.deepEqual(
+      packages.map((pkg) => [pkg.name, pkg.dir]),
+      [
+        ["admin", "apps/admin"],
+        ["@acme/web", "apps/web"],
+        ["cli", "tools/cli"],
+      ],
+    );
+    assert.equal(packages[0].root, path.join(root, "apps/admin"));
+    assert.equal(packages[0].workspace, true);
+  });
+
+  it("reads the Yarn packages field", () => {
+    const root = createWorkspace({
+      "package.json": { workspaces: { packages: ["packages/*"] } },
+      "packages/ui/package.json": { name: "ui" },
+    });
+    assert.deepEqual(packageDirs(root), [["ui", "packages/ui"]]);
+  });
+
+  it("reads pnpm-workspace.yaml", () => {
+    const root = createWorkspace({
+      "package.json": { name: "root" },
+      "pnpm-workspace.yaml": [
+        "# packages",
+        "packages:",
+        "  - 'libs/**'",
+        '  - "!libs/internal/**" # not released',
+        "catalog:",
+        "  - ignored/*",
+        "",
+      ].join("\n"),
+      "libs/a/package.json": { name: "a" },
+      "libs/group/b/package.json": { name: "b" },
+      "libs/internal/c/package.json": { name: "c" },
+      "ignored/d/package.json": { name: "d" },
+    });
+    assert.deepEqual(packageDirs(root), [
+      ["a", "libs/a"],
+      ["b", "libs/group/b"],
+    ]);
+  });
+
+  it("returns null outside a workspace", () => {
+    const root = createWorkspace({ "package.json": { name: "app" } });
+    assert.equal(findWorkspacePackages(root), null);
+  });
+});
+
+describe("selectPackages", () => {
+  const packages = [
+    { name: "@acme/web", dir: "apps/web" },
+    { name: "@acme/admin", dir: "apps/admin" },
+  ];
+
+  it("selects packages by name or folder", () => {
+    assert.equal(selectPackages(packages, []), packages);
+    assert.deepEqual(selectPackages(packages, ["./apps/admin", "@acme/web"]), [
+      packages[1],
+      packages[0],
+    ]);
+  });
+
+  it("rejects unknown packages", () => {
+    assert.throws(
+      () => selectPackages(packages, ["@acme/api"]),
+      (err) =>
+        err.code === ErrorCodes.INVALID_ARGUMENTS &&
+        /@acme\/web, @acme\/admin/.test(err.details.suggestion),
+    );
+  });
+});